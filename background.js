@@ -1,12 +1,68 @@
 // Amazon Seller Fee Invoice Downloader - Background Script
-// Handles tab monitoring and download interception
+// Saves files for the content script via chrome.downloads, checks for new invoices on a schedule,
+// plus legacy tab monitoring
+
+importScripts('filename-template.js', 'settings.js', 'invoice-locale.js', 'invoice-parser.js', 'history-store.js');
 
 let isMonitoring = false;
 let currentDownloadInfo = null;
 let monitoringTabId = null;
 
+// Downloads started for the content script, keyed by download id, awaiting completion:
+// { sendResponse, url } with the object URL to release once the file is written
+const pendingDownloads = new Map();
+
+// Files the content script is handing over, keyed by transfer id: base64 chunks in order
+const stagedTransfers = new Map();
+
+// The offscreen document parses pages for the background check and holds the object URLs of files
+// being saved (service workers have neither a DOM parser nor URL.createObjectURL). It stays open
+// while anything still uses it.
+let offscreenUsers = 0;
+let offscreenReady = null;
+let offscreenClosing = null;
+
+// Documents fetched by auto-sync since the user last looked, shown on the extension icon
+const BADGE_COUNT_KEY = 'amazon_new_invoice_count';
+
+// Background check for new invoices; storage keys are shared with the content script (see CONFIG)
+const CHECK_ALARM = 'amazon_invoice_check';
+const QUEUE_KEY = 'amazon_download_queue';
+const LISTING_URL_KEY = 'amazon_invoice_page_url';
+const CHECK_STATE_KEY = 'amazon_background_check'; // { reportedIds, sessionExpired, lastCheck }
+const NEW_INVOICES_NOTIFICATION = 'amazon_new_invoices';
+const SESSION_NOTIFICATION = 'amazon_session_expired';
+
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'stage_download_chunk') {
+    if (!stagedTransfers.has(request.transferId)) stagedTransfers.set(request.transferId, []);
+    stagedTransfers.get(request.transferId).push(request.data);
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (request.action === 'save_download') {
+    saveDownload(request, sendResponse);
+    return true; // Respond asynchronously once the download finishes
+  }
+
+  if (request.action === 'find_saved_file') {
+    findSavedFile(request).then(path => sendResponse({ path }));
+    return true;
+  }
+
+  // Opening the history popup acknowledges the auto-synced invoices
+  if (request.action === 'clear_badge') {
+    clearBadge().then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (request.action === 'auto_sync_complete') {
+    addToBadge(request.downloaded).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
   if (request.action === 'expect_download') {
     isMonitoring = true;
     monitoringTabId = sender.tab.id;
@@ -60,55 +116,386 @@ function handlePdfTab(tab) {
     return;
   }
 
-  const filename = generateFilename(currentDownloadInfo);
-  
-  console.log('Background: Initiating download', filename);
-  
-  // Download the PDF
+  const downloadInfo = currentDownloadInfo;
+
+  ExtensionSettings.load().then((settings) => {
+    const filename = generateFilename(downloadInfo, settings.filenameTemplate);
+
+    console.log('Background: Initiating download', filename);
+
+    // Download the PDF
+    chrome.downloads.download({
+      url: tab.url,
+      filename: settings.downloadFolder ? `${settings.downloadFolder}/${filename}` : filename,
+      conflictAction: 'uniquify',
+      saveAs: false
+    }, (downloadId) => {
+      if (chrome.runtime.lastError) {
+        console.error('Background: Download error', chrome.runtime.lastError);
+      } else {
+        console.log('Background: Download started', downloadId);
+
+        // Close the tab after a short delay
+        setTimeout(() => {
+          chrome.tabs.remove(tab.id, () => {
+            if (chrome.runtime.lastError) {
+              console.log('Background: Tab already closed');
+            }
+          });
+        }, 1000);
+      }
+    });
+  });
+
+  // Reset monitoring state
+  isMonitoring = false;
+  currentDownloadInfo = null;
+}
+
+// Generate a clean filename from the user's template
+function generateFilename(info, template) {
+  return FilenameTemplate.render(template, info);
+}
+
+// Save a file handed over by the content script (staged chunks) into the configured folder
+async function saveDownload(request, sendResponse) {
+  const chunks = stagedTransfers.get(request.transferId) || [];
+  stagedTransfers.delete(request.transferId);
+
+  const settings = await ExtensionSettings.load();
+  const filename = settings.downloadFolder ? `${settings.downloadFolder}/${request.filename}` : request.filename;
+
+  let url;
+  try {
+    url = await createBlobUrl(request.transferId, chunks, request.type, request.size);
+  } catch (error) {
+    // Chunks lost to a service worker restart, or no offscreen document - sending the file again helps
+    console.error('Background: Could not stage download', error.message);
+    sendResponse({ success: false, error: error.message, retryable: true });
+    return;
+  }
+
   chrome.downloads.download({
-    url: tab.url,
-    filename: `amazon_invoices/${filename}`,
+    url,
+    filename,
     conflictAction: 'uniquify',
     saveAs: false
   }, (downloadId) => {
-    if (chrome.runtime.lastError) {
-      console.error('Background: Download error', chrome.runtime.lastError);
-    } else {
-      console.log('Background: Download started', downloadId);
-      
-      // Close the tab after a short delay
-      setTimeout(() => {
-        chrome.tabs.remove(tab.id, () => {
-          if (chrome.runtime.lastError) {
-            console.log('Background: Tab already closed');
-          }
+    if (chrome.runtime.lastError || downloadId === undefined) {
+      const error = chrome.runtime.lastError?.message || 'Download could not be started';
+      console.error('Background: Download error', error);
+      releaseBlobUrl(url);
+      sendResponse({ success: false, error });
+      return;
+    }
+
+    console.log('Background: Download started', downloadId, filename);
+    pendingDownloads.set(downloadId, { sendResponse, url });
+
+    // The download may already have finished before it was registered
+    chrome.downloads.search({ id: downloadId }, ([item]) => {
+      if (item && item.state !== 'in_progress') {
+        settleDownload(downloadId, item.state, item.error);
+      }
+    });
+  });
+}
+
+// Path of a completed download that is still on disk: either the exact path recorded earlier, or a
+// file saved under the planned name (inside the download folder) with the given size
+async function findSavedFile({ path, filename, fileSize }) {
+  let query;
+  if (path) {
+    query = { filename: path };
+  } else {
+    const settings = await ExtensionSettings.load();
+    const relative = settings.downloadFolder ? `${settings.downloadFolder}/${filename}` : filename;
+    // Either path separator, anchored at a folder boundary
+    const pattern = relative.split('/').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[\\\\/]');
+    query = { filenameRegex: `(^|[\\\\/])${pattern}$`, fileSize };
+  }
+
+  const items = await chrome.downloads.search({ ...query, state: 'complete', exists: true });
+  return items[0]?.filename || null;
+}
+
+// Object URL (in the extension's origin) of a file assembled from base64 chunks in the offscreen
+// document; the offscreen document stays open until the URL is released
+async function createBlobUrl(transferId, chunks, type, size) {
+  await openOffscreenDocument();
+  try {
+    for (let data of chunks) {
+      await chrome.runtime.sendMessage({ target: 'offscreen', action: 'append_blob_chunk', transferId, data });
+    }
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'create_blob_url', transferId, type, size });
+    if (!response?.url) throw new Error(response?.error || 'No object URL from the offscreen document');
+    return response.url;
+  } catch (error) {
+    await closeOffscreenDocument();
+    throw error;
+  }
+}
+
+async function releaseBlobUrl(url) {
+  await chrome.runtime.sendMessage({ target: 'offscreen', action: 'revoke_blob_url', url }).catch(() => {});
+  await closeOffscreenDocument();
+}
+
+// Report the final state of a pending download back to the content script
+function settleDownload(downloadId, state, error) {
+  const pending = pendingDownloads.get(downloadId);
+  if (!pending) return;
+  pendingDownloads.delete(downloadId);
+  releaseBlobUrl(pending.url);
+
+  const { sendResponse } = pending;
+
+  if (state === 'complete') {
+    chrome.downloads.search({ id: downloadId }, ([item]) => {
+      sendResponse({ success: true, downloadId, filename: item?.filename || '' });
+    });
+  } else {
+    sendResponse({ success: false, downloadId, error: error || 'Download interrupted' });
+  }
+}
+
+// Add newly fetched documents to the count on the extension icon
+async function addToBadge(count) {
+  if (!count) return;
+  const stored = await chrome.storage.local.get(BADGE_COUNT_KEY);
+  await chrome.storage.local.set({ [BADGE_COUNT_KEY]: (stored[BADGE_COUNT_KEY] || 0) + count });
+  await refreshBadge();
+}
+
+async function refreshBadge() {
+  const stored = await chrome.storage.local.get(BADGE_COUNT_KEY);
+  const count = stored[BADGE_COUNT_KEY] || 0;
+  await chrome.action.setBadgeBackgroundColor({ color: '#FF9900' });
+  await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+  await chrome.action.setTitle({
+    title: count > 0
+      ? `Amazon Invoice Downloader - ${count} new invoice${count === 1 ? '' : 's'} downloaded by auto-sync`
+      : 'Amazon Invoice Downloader'
+  });
+}
+
+async function clearBadge() {
+  await chrome.storage.local.set({ [BADGE_COUNT_KEY]: 0 });
+  await refreshBadge();
+}
+
+// The badge text does not survive a browser restart, the stored count does
+chrome.runtime.onStartup.addListener(() => {
+  refreshBadge();
+  scheduleCheck();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  scheduleCheck();
+});
+
+// Keep the alarm in line with the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && (changes.backgroundCheck || changes.backgroundCheckHours)) {
+    scheduleCheck();
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CHECK_ALARM) {
+    checkForNewInvoices();
+  }
+});
+
+async function scheduleCheck() {
+  const settings = await ExtensionSettings.load();
+  if (!settings.backgroundCheck) {
+    await chrome.alarms.clear(CHECK_ALARM);
+    return;
+  }
+
+  const periodInMinutes = settings.backgroundCheckHours * 60;
+  const existing = await chrome.alarms.get(CHECK_ALARM);
+  if (existing && existing.periodInMinutes === periodInMinutes) return;
+
+  await chrome.alarms.create(CHECK_ALARM, { delayInMinutes: 1, periodInMinutes });
+  console.log(`Background: Checking for new invoices every ${settings.backgroundCheckHours} hour(s)`);
+}
+
+// Load the last visited invoice page, report invoices that were neither downloaded nor reported
+// before, and optionally queue them for the next visit
+async function checkForNewInvoices() {
+  const settings = await ExtensionSettings.load();
+  if (!settings.backgroundCheck) return;
+
+  const stored = await chrome.storage.local.get([LISTING_URL_KEY, CHECK_STATE_KEY]);
+  const url = stored[LISTING_URL_KEY];
+  if (!url) {
+    console.log('Background: Invoice page not visited yet - nothing to check');
+    return;
+  }
+  const state = stored[CHECK_STATE_KEY] || { reportedIds: [], sessionExpired: false };
+
+  let rows, account;
+  try {
+    ({ rows, account } = await fetchInvoiceList(url));
+  } catch (error) {
+    if (error.sessionExpired) {
+      // Tell the user once, not on every alarm
+      if (!state.sessionExpired) {
+        chrome.notifications.create(SESSION_NOTIFICATION, {
+          type: 'basic',
+          iconUrl: 'logo-128.png',
+          title: 'Seller Central session expired',
+          message: 'Sign in to Seller Central so new fee invoices can be checked. Click to open the invoice page.'
         });
-      }, 1000);
+      }
+      await chrome.storage.local.set({ [CHECK_STATE_KEY]: { ...state, sessionExpired: true, lastCheck: Date.now() } });
+    }
+    console.error('Background: Invoice check failed', error.message);
+    return;
+  }
+
+  // Compare against the history of whichever account the session belongs to
+  const { downloaded } = await DownloadHistory.load(account);
+  const reported = new Set(state.reportedIds);
+  const notDownloaded = rows.filter(data => !downloaded.has(data.invoiceId));
+  const newRows = notDownloaded.filter(data => !reported.has(data.invoiceId));
+
+  chrome.notifications.clear(SESSION_NOTIFICATION);
+  await chrome.storage.local.set({
+    [CHECK_STATE_KEY]: {
+      reportedIds: notDownloaded.map(data => data.invoiceId), // Only what is still on the page
+      sessionExpired: false,
+      lastCheck: Date.now()
     }
   });
 
-  // Reset monitoring state
-  isMonitoring = false;
-  currentDownloadInfo = null;
+  console.log(`Background: ${rows.length} invoices listed, ${newRows.length} new`);
+  if (newRows.length === 0) return;
+
+  const queue = settings.backgroundCheckAction === 'queue';
+  if (queue) {
+    await queueForDownload(newRows, account);
+  }
+  notifyNewInvoices(newRows, queue);
 }
 
-// Generate a clean filename
-function generateFilename(info) {
-  const date = info.endDate || 'unknown-date';
-  const invoiceId = info.invoiceId.replace(/[^a-zA-Z0-9-]/g, '_');
-  const marketplace = info.marketplace || 'unknown';
-  
-  return `${date}_${invoiceId}_${marketplace}.pdf`;
+// Fetch with the user's Seller Central cookies and parse in the offscreen document;
+// resolves to { rows, account }
+async function fetchInvoiceList(url) {
+  const sessionExpired = () => Object.assign(new Error('Seller Central session has expired'), { sessionExpired: true });
+
+  const response = await fetch(url, {
+    credentials: 'include',
+    headers: { 'Accept': 'text/html' }
+  });
+  if (InvoiceParser.isSignInUrl(response.url)) throw sessionExpired();
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+  }
+
+  const result = await parseInOffscreenDocument(await response.text(), 'invoice');
+  // A page without the invoice table is a sign-in or error page served without a redirect
+  if (!result.hasTable) throw sessionExpired();
+  return result;
+}
+
+async function parseInOffscreenDocument(html, documentKind) {
+  await openOffscreenDocument();
+  try {
+    return await chrome.runtime.sendMessage({ target: 'offscreen', action: 'parse_invoice_list', html, documentKind });
+  } finally {
+    await closeOffscreenDocument();
+  }
+}
+
+// Only one offscreen document may exist, so concurrent users share it; every open is paired
+// with a close
+async function openOffscreenDocument() {
+  offscreenUsers++;
+  offscreenReady ??= Promise.resolve(offscreenClosing).then(async () => {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length > 0) return;
+    await chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['DOM_PARSER', 'BLOBS'],
+      justification: 'Parse the Seller Central invoice list for the background check and hold files while they are saved'
+    });
+  });
+
+  try {
+    await offscreenReady;
+  } catch (error) {
+    await closeOffscreenDocument();
+    throw error;
+  }
+}
+
+async function closeOffscreenDocument() {
+  if (--offscreenUsers > 0) return;
+  offscreenReady = null;
+  offscreenClosing = chrome.offscreen.closeDocument().catch(() => {});
+  await offscreenClosing;
+}
+
+// Add rows to the account's saved download queue the content script offers for resume
+async function queueForDownload(rows, account) {
+  const queueKey = DownloadHistory.scopedKey(QUEUE_KEY, account);
+  const saved = (await chrome.storage.local.get(queueKey))[queueKey];
+  const items = Array.isArray(saved?.items) ? saved.items : [];
+  const queued = new Set(items.map(item => item.invoiceId));
+
+  await chrome.storage.local.set({
+    [queueKey]: {
+      mode: saved?.mode || 'files',
+      paused: false,
+      savedAt: Date.now(),
+      items: [...items, ...rows.filter(data => !queued.has(data.invoiceId))]
+    }
+  });
 }
 
+// "5 new fee invoices for Amazon.pl", one line per marketplace
+function notifyNewInvoices(rows, queued) {
+  const counts = new Map();
+  rows.forEach(data => counts.set(data.marketplace, (counts.get(data.marketplace) || 0) + 1));
+
+  const plural = (count) => `${count} new fee invoice${count === 1 ? '' : 's'}`;
+  const lines = [...counts.entries()].map(([marketplace, count]) =>
+    marketplace === 'unknown' ? plural(count) : `${plural(count)} for Amazon.${marketplace}`);
+
+  chrome.notifications.create(NEW_INVOICES_NOTIFICATION, {
+    type: 'basic',
+    iconUrl: 'logo-128.png',
+    title: plural(rows.length),
+    message: lines.join('\n') + (queued ? '\nQueued for download - open the invoice page to start.' : ''),
+    contextMessage: 'Amazon Invoice Downloader'
+  });
+}
+
+// Open the invoice page from either notification
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId !== NEW_INVOICES_NOTIFICATION && notificationId !== SESSION_NOTIFICATION) return;
+
+  const stored = await chrome.storage.local.get(LISTING_URL_KEY);
+  if (stored[LISTING_URL_KEY]) {
+    chrome.tabs.create({ url: stored[LISTING_URL_KEY] });
+  }
+  chrome.notifications.clear(notificationId);
+});
+
 // Listen for download completion
 chrome.downloads.onChanged.addListener((delta) => {
   if (delta.state && delta.state.current === 'complete') {
     console.log('Background: Download completed', delta.id);
+    settleDownload(delta.id, 'complete');
   }
   
-  if (delta.error) {
-    console.error('Background: Download error', delta.error);
+  if (delta.state && delta.state.current === 'interrupted') {
+    const error = delta.error?.current;
+    console.error('Background: Download interrupted', delta.id, error);
+    settleDownload(delta.id, 'interrupted', error);
   }
 });
 
@@ -0,0 +1,160 @@
+// Amazon Seller Fee Invoice Downloader - Backup
+// Exports the download history of every seller account and the settings as a versioned JSON file and
+// merges such a file back in
+// Requires settings.js and history-store.js to be loaded first
+
+const ExtensionBackup = (() => {
+  'use strict';
+
+  const FORMAT = 'amazon-invoice-downloader-backup';
+  const VERSION = 2; // 1: a single history, 2: one history per seller account
+  const STATUSES = ['downloaded', 'failed'];
+
+  async function create() {
+    const accounts = {};
+    for (let account of await DownloadHistory.accounts()) {
+      const { downloaded, status } = await DownloadHistory.load(account);
+      accounts[account] = {
+        downloaded: Array.from(downloaded),
+        status: Object.fromEntries(status)
+      };
+    }
+
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: await ExtensionSettings.load(),
+      accounts
+    };
+  }
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  // Problems with a parsed backup file as readable messages; empty when it can be imported
+  function validate(data) {
+    if (!isObject(data) || data.format !== FORMAT) {
+      return ['Not an Amazon Invoice Downloader backup file'];
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      return ['The backup has no valid format version'];
+    }
+    if (data.version > VERSION) {
+      return [`The backup was made by a newer version of the extension (format ${data.version}); please update first`];
+    }
+
+    const errors = [];
+
+    if (data.settings !== undefined) {
+      if (!isObject(data.settings)) {
+        errors.push('"settings" must be an object');
+      } else {
+        for (let [key, value] of Object.entries(data.settings)) {
+          const error = ExtensionSettings.validate(key, value);
+          if (error) errors.push(`Setting ${key}: ${error}`);
+        }
+      }
+    }
+
+    if (data.version === 1) {
+      errors.push(...validateHistory(data.history, 'history'));
+    } else if (!isObject(data.accounts)) {
+      errors.push('"accounts" must be an object keyed by seller account');
+    } else {
+      for (let [account, history] of Object.entries(data.accounts)) {
+        errors.push(...validateHistory(history, `accounts["${account}"]`));
+      }
+    }
+
+    return errors;
+  }
+
+  function validateHistory(history, path) {
+    if (!isObject(history)) return [`"${path}" must be an object`];
+
+    const errors = [];
+    if (!Array.isArray(history.downloaded) || history.downloaded.some(id => typeof id !== 'string' || id === '')) {
+      errors.push(`"${path}.downloaded" must be a list of invoice numbers`);
+    }
+
+    if (!isObject(history.status)) {
+      errors.push(`"${path}.status" must be an object keyed by invoice number`);
+    } else {
+      for (let [invoiceId, record] of Object.entries(history.status)) {
+        const error = validateRecord(record);
+        if (error) errors.push(`Invoice ${invoiceId}: ${error}`);
+      }
+    }
+
+    return errors;
+  }
+
+  function validateRecord(record) {
+    if (!isObject(record)) return 'status must be an object';
+    if (!STATUSES.includes(record.status)) return `unknown status "${record.status}"`;
+    if (typeof record.timestamp !== 'number' || !(record.timestamp >= 0)) return 'timestamp must be a number';
+    if (record.attempts !== undefined && !(Number.isInteger(record.attempts) && record.attempts >= 0)) {
+      return 'attempts must be a whole number';
+    }
+    return '';
+  }
+
+  // Merges a validated backup into the stored history. An invoice downloaded on either side stays
+  // downloaded (as in the content script); of two status records the newer one wins.
+  async function mergeHistory(account, history) {
+    const { downloaded, status } = await DownloadHistory.load(account);
+    const counts = { added: 0, updated: 0, unchanged: 0 };
+    const backupDownloaded = new Set(history.downloaded);
+    const invoiceIds = new Set([...backupDownloaded, ...Object.keys(history.status)]);
+
+    for (let invoiceId of invoiceIds) {
+      const known = downloaded.has(invoiceId) || status.has(invoiceId);
+      const current = status.get(invoiceId);
+      const record = history.status[invoiceId];
+      let changed = false;
+
+      if (backupDownloaded.has(invoiceId) && !downloaded.has(invoiceId)) {
+        downloaded.add(invoiceId);
+        changed = true;
+      }
+      if (record && (!current || record.timestamp > current.timestamp)) {
+        status.set(invoiceId, record);
+        changed = true;
+      }
+
+      if (!known) counts.added++;
+      else if (changed) counts.updated++;
+      else counts.unchanged++;
+    }
+
+    await DownloadHistory.save(account, downloaded, status);
+    return counts;
+  }
+
+  // Merges every account of a validated backup; a version 1 backup predates per-account history and
+  // goes to the most recently used account. Returns the summed counts and the accounts touched.
+  async function importHistory(data) {
+    const known = await DownloadHistory.accounts();
+    const histories = data.version === 1 ? { [known[0] || '']: data.history } : data.accounts;
+    const totals = { added: 0, updated: 0, unchanged: 0, accounts: Object.keys(histories) };
+
+    for (let [account, history] of Object.entries(histories)) {
+      if (!known.includes(account)) {
+        await DownloadHistory.registerAccount(account);
+      }
+      const counts = await mergeHistory(account, history);
+      totals.added += counts.added;
+      totals.updated += counts.updated;
+      totals.unchanged += counts.unchanged;
+    }
+    return totals;
+  }
+
+  // Backup settings replace the stored ones; settings missing from older backups keep their value
+  async function restoreSettings(settings) {
+    const current = await ExtensionSettings.load();
+    await chrome.storage.sync.set(ExtensionSettings.normalize({ ...current, ...settings }));
+  }
+
+  return { FORMAT, VERSION, create, validate, importHistory, restoreSettings };
+})();
@@ -4,77 +4,219 @@
 (function() {
   'use strict';
 
-  // Configuration
+  // Configuration - defaults, overridden at init from the options page (see settings.js)
   const CONFIG = {
     DELAY_BETWEEN_DOWNLOADS: 2500,
-    STORAGE_KEY: 'amazon_downloaded_invoices',
     FILTER_DEBOUNCE_MS: 300,
+    TABLE_SYNC_DEBOUNCE_MS: 150, // Quiet time after Amazon changes the table before re-reading it
     VIRTUAL_SCROLL_BUFFER: 50,
     CHUNK_SIZE: 100,
-    MAX_VISIBLE_ROWS: 500,
+    MAX_VISIBLE_ROWS: 500, // Above this many displayed rows the table is virtualised
+    ROW_HEIGHT: 40, // Fallback row height (px) for virtual scroll spacers
     DOWNLOAD_TIMEOUT: 30000, // 30 seconds timeout for PDF downloads
-    RETRY_ATTEMPTS: 3
+    TRANSFER_CHUNK_SIZE: 8 * 1024 * 1024, // Bytes per message when handing a file to the background script
+    RETRY_ATTEMPTS: 3,
+    RETRY_BASE_DELAY: 2000, // First retry waits ~this long, doubling on each further attempt
+    RETRY_MAX_DELAY: 60000,
+    CONCURRENCY: 2, // Parallel download workers (1-4)
+    EXTRACT_AMOUNTS: false, // Read totals from each PDF's text layer (pdf-text.js, invoice-amounts.js)
+    TAX_YEAR_START_MONTH: '1', // Month (1-12) the "Previous tax year" range starts in
+    TAX_YEAR_START_DAY: 1, // ... and its day of the month
+    THROTTLE_MAX_DELAY: 60000, // Upper bound for the adaptive per-worker pause
+    THROTTLE_RECOVERY_STREAK: 5, // Healthy responses needed before speeding back up
+    SAMPLE_ROW_KEY: 'amazon_sample_invoice', // Last parsed row, used by the options page preview
+    QUEUE_KEY: 'amazon_download_queue', // Unfinished bulk download, offered for resume after a reload
+    LISTING_URL_KEY: 'amazon_invoice_page_url', // Invoice page the background check loads
+    LISTING_PATHS: {
+      'invoice': '/tax/seller-fee-invoices',
+      'credit-note': '/tax/seller-fee-invoices/credit-note-invoices'
+    }
+  };
+
+  const DOCUMENT_KINDS = {
+    'invoice': { singular: 'invoice', plural: 'invoices', tab: 'Seller Fee Invoices' },
+    'credit-note': { singular: 'credit note', plural: 'credit notes', tab: 'Seller Fee Credit Notes' }
+  };
+
+  // Columns of the "Export list" spreadsheet; rows are parsed row records plus status fields
+  const EXPORT_COLUMNS = [
+    { header: 'Invoice Number', width: 24, value: row => row.invoiceId },
+    { header: 'Document', width: 12, value: row => DOCUMENT_KINDS[row.documentKind]?.singular || row.documentKind },
+    { header: 'Invoice Type', width: 22, value: row => row.invoiceType },
+    { header: 'File Type', width: 10, value: row => row.fileType },
+    { header: 'Start Date', width: 12, value: row => row.startDate },
+    { header: 'End Date', width: 12, value: row => row.endDate },
+    { header: 'Marketplace', width: 12, value: row => row.marketplace },
+    { header: 'Payer Name', width: 28, value: row => row.payerName },
+    { header: 'Payer Registration', width: 18, value: row => row.payerRegistration },
+    { header: 'Supplier Name', width: 28, value: row => row.supplierName },
+    { header: 'Supplier Registration', width: 20, value: row => row.supplierRegistration || row.buttonData?.payeeRegistrationNumber },
+    { header: 'Document Version ID', width: 40, value: row => row.documentVersionId },
+    { header: 'Invoice Date', width: 12, value: row => row.amounts?.invoiceDate },
+    { header: 'Net Amount', width: 12, value: row => row.amounts?.net ?? '' },
+    { header: 'VAT Rate (%)', width: 12, value: row => row.amounts?.vatRate ?? '' },
+    { header: 'VAT Amount', width: 12, value: row => row.amounts?.vat ?? '' },
+    { header: 'Gross Amount', width: 12, value: row => row.amounts?.gross ?? '' },
+    { header: 'Currency', width: 10, value: row => row.amounts?.currency },
+    { header: 'Download Status', width: 14, value: row => row.status },
+    { header: 'Downloaded At', width: 18, value: row => row.downloadedAt }
+  ];
+
+  // Multi-select filters of the toolbar; their options are the values present in the loaded rows
+  const MULTI_FILTERS = [
+    { key: 'invoiceType', label: 'Invoice Type', value: row => row.invoiceType },
+    { key: 'fileType', label: 'File Type', value: row => row.fileType },
+    { key: 'filterName', label: 'Invoice Category', value: row => row.buttonData?.filterName },
+    { key: 'supplierName', label: 'Supplier', value: row => row.supplierName },
+    { key: 'supplierRegistration', label: 'Supplier VAT', value: row => row.supplierRegistration || row.buttonData?.payeeRegistrationNumber },
+    { key: 'payerRegistration', label: 'Payer VAT', value: row => row.payerRegistration }
+  ];
+
+  // Columns the table can be sorted by, keyed by the field their header is parsed as (see
+  // invoice-locale.js); status is the extension's own column
+  const SORT_COLUMNS = {
+    invoiceNumber: row => row.invoiceId,
+    invoiceType: row => row.invoiceType,
+    startDate: row => row.startDate,
+    endDate: row => row.endDate,
+    marketplace: row => row.marketplace,
+    supplierName: row => row.supplierName,
+    status: (row, dataManager) => ['pending', 'failed', 'downloaded'].indexOf(dataManager.getDownloadStatus(row.invoiceId))
+  };
+
+  // Grouped views of the table: rows with the same key are shown together under a header row
+  const GROUPINGS = {
+    month: {
+      label: 'Billing month',
+      key: row => (row.endDate || '').slice(0, 7),
+      compare: (a, b) => b.localeCompare(a), // Newest month first
+      title: key => key
+        ? new Date(`${key}-01T00:00`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+        : 'Unknown month'
+    },
+    marketplace: {
+      label: 'Marketplace',
+      key: row => row.marketplace,
+      compare: (a, b) => a.localeCompare(b),
+      title: key => key === 'unknown' ? 'Unknown marketplace' : `Amazon.${key}`
+    }
   };
 
+  // Which listing tab a URL path belongs to
+  function detectDocumentKind(pathname) {
+    return pathname.includes('/credit-note-invoices') ? 'credit-note' : 'invoice';
+  }
+
+  // chrome.downloads interrupt reasons that a second attempt will run into again
+  const PERMANENT_INTERRUPTIONS = [
+    'FILE_ACCESS_DENIED', 'FILE_NO_SPACE', 'FILE_NAME_TOO_LONG', 'FILE_TOO_LARGE',
+    'FILE_VIRUS_INFECTED', 'FILE_BLOCKED', 'FILE_SECURITY_CHECK_FAILED', 'USER_CANCELED'
+  ];
+
+  // Download failure that knows whether trying again could help
+  class DownloadError extends Error {
+    constructor(message, { status = 0, retryable = false, retryAfter = 0, cancelled = false, sessionExpired = false } = {}) {
+      super(message);
+      this.name = 'DownloadError';
+      this.status = status;
+      this.retryable = retryable;
+      this.retryAfter = retryAfter; // ms requested by a Retry-After header
+      this.cancelled = cancelled;
+      this.sessionExpired = sessionExpired; // Stops the run; the queue stays saved for resuming
+    }
+
+    // Rate limiting, timeouts and server errors are transient; 401/403/404 and friends are not
+    static fromResponse(message, response) {
+      const status = response.status;
+      const retryAfterSeconds = Number(response.headers.get('Retry-After'));
+      return new DownloadError(`${message}: HTTP ${status} ${response.statusText}`.trim(), {
+        status,
+        retryable: status === 408 || status === 429 || status >= 500,
+        retryAfter: retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : 0
+      });
+    }
+
+    // Amazon redirected to its sign-in page or refused the request - no retry can help until the
+    // user signs in again
+    static forExpiredSession(response) {
+      return new DownloadError('Your Seller Central session has expired - please sign in again', {
+        status: response.status,
+        sessionExpired: true
+      });
+    }
+
+    static isRetryable(error) {
+      if (error instanceof DownloadError) return error.retryable;
+      return error instanceof TypeError; // fetch() network failure
+    }
+  }
+
   // Enhanced state management with persistent storage
   class InvoiceDataManager {
     constructor() {
       this.allRows = [];
       this.filteredRows = [];
       this.downloadedInvoices = new Set();
-      this.rowDataCache = new Map();
+      this.rowDataCache = new Map(); // Invoice number -> row record
+      this.rowsByElement = new WeakMap(); // <tr> -> row record, for checkboxes and table changes
+      this.columnMaps = new WeakMap(); // table element -> column map
+      this.pageDocumentKind = detectDocumentKind(location.pathname);
       this.filterCache = new Map();
+      this.order = { sortKey: '', ascending: true, groupBy: '' }; // '' keeps Amazon's order
+      this.orderedRows = null; // All rows in display order, for dimmed views
       this.isInitialized = false;
       this.downloadStatus = new Map(); // Track download attempts and failures
+      this.account = ''; // Seller account the history belongs to, '' when the page does not show one
+      this.contentHashes = new Map(); // Invoice id -> { sha256, path, timestamp } of the last saved PDF
     }
 
-    // Load download status from localStorage
+    // Load download status from chrome.storage.local (see history-store.js)
     async loadDownloadStatus() {
-      return new Promise((resolve) => {
-        chrome.storage.local.get([CONFIG.STORAGE_KEY, CONFIG.STORAGE_KEY + '_status'], (result) => {
-          // Load downloaded invoices
-          if (result[CONFIG.STORAGE_KEY]) {
-            this.downloadedInvoices = new Set(result[CONFIG.STORAGE_KEY]);
-          }
-          
-          // Load download status (attempts, failures, etc.)
-          if (result[CONFIG.STORAGE_KEY + '_status']) {
-            this.downloadStatus = new Map(Object.entries(result[CONFIG.STORAGE_KEY + '_status']));
-          }
-          
-          resolve();
-        });
-      });
+      const { downloaded, status } = await DownloadHistory.load(this.account);
+      this.downloadedInvoices = downloaded;
+      this.downloadStatus = status; // attempts, failures, filenames, ...
+      this.contentHashes = await DownloadHistory.loadHashes(this.account);
     }
 
-    // Save download status to localStorage
+    // Save download status to chrome.storage.local
     saveDownloadStatus() {
-      const statusObj = Object.fromEntries(this.downloadStatus);
-      chrome.storage.local.set({
-        [CONFIG.STORAGE_KEY]: Array.from(this.downloadedInvoices),
-        [CONFIG.STORAGE_KEY + '_status']: statusObj
-      });
+      DownloadHistory.save(this.account, this.downloadedInvoices, this.downloadStatus);
     }
 
-    // Mark invoice as downloaded
-    markAsDownloaded(invoiceId) {
+    // Mark invoice as downloaded; details records where the file was saved
+    markAsDownloaded(invoiceId, details = {}) {
+      const previous = this.downloadStatus.get(invoiceId);
       this.downloadedInvoices.add(invoiceId);
       this.downloadStatus.set(invoiceId, {
         status: 'downloaded',
         timestamp: Date.now(),
-        attempts: (this.downloadStatus.get(invoiceId)?.attempts || 0) + 1
+        attempts: (previous?.attempts || 0) + 1,
+        amounts: previous?.amounts, // Kept when a later download skips PDF parsing
+        ...details
       });
       this.saveDownloadStatus();
     }
 
-    // Mark invoice as failed
-    markAsFailed(invoiceId, error) {
+    // Remember which PDF was saved where. Returns the previous hash when Amazon now serves different
+    // content for the same invoice number, i.e. the invoice was reissued.
+    recordContentHash(invoiceId, sha256, path) {
+      const previous = this.contentHashes.get(invoiceId);
+      this.contentHashes.set(invoiceId, { sha256, path, timestamp: Date.now() });
+      DownloadHistory.saveHashes(this.account, this.contentHashes);
+
+      return previous && previous.sha256 !== sha256 ? previous.sha256 : null;
+    }
+
+    // Mark invoice as failed; permanent failures are not worth retrying at all
+    markAsFailed(invoiceId, error, { attempts = 1, permanent = false, ...details } = {}) {
       const current = this.downloadStatus.get(invoiceId) || { attempts: 0 };
       this.downloadStatus.set(invoiceId, {
         status: 'failed',
         timestamp: Date.now(),
-        attempts: current.attempts + 1,
-        error: error
+        attempts: current.attempts + attempts,
+        error: error,
+        permanent: permanent,
+        ...details
       });
       this.saveDownloadStatus();
     }
@@ -86,97 +228,120 @@
       }
       
       const status = this.downloadStatus.get(invoiceId);
-      if (status?.status === 'failed' && status.attempts >= CONFIG.RETRY_ATTEMPTS) {
+      if (status?.status === 'failed' && (status.permanent || status.attempts >= CONFIG.RETRY_ATTEMPTS)) {
         return 'failed';
       }
       
       return 'pending';
     }
 
-    // Efficiently parse and cache row data
-    parseRowData(row, index) {
-      if (this.rowDataCache.has(index)) {
-        return this.rowDataCache.get(index);
+    // Record for a row of the live table, keyed by invoice number. A row Amazon re-rendered (or an
+    // imported row it now shows itself) keeps its record and selection and points at the new
+    // element. Returns the record when it is new, null otherwise.
+    adoptRow(row) {
+      const parsed = this.readRow(row, this.allRows.length, this.pageDocumentKind);
+      const known = parsed.invoiceId && this.rowDataCache.get(parsed.invoiceId);
+
+      if (known) {
+        if (known.isImported && known.element !== row) {
+          known.element.remove();
+        }
+        Object.assign(known, parsed, {
+          index: known.index,
+          isSelected: known.isSelected,
+          isVisible: known.isVisible,
+          isImported: false
+        });
+        this.rowsByElement.set(row, known);
+        return null;
       }
 
-      const cells = row.querySelectorAll('td');
-      const viewButton = row.querySelector('button[id*="view_invoice_button"]');
-      
-      const data = {
-        element: row,
-        index: index,
-        invoiceId: this.extractInvoiceId(cells),
-        startDate: this.extractDate(cells, 0),
-        endDate: this.extractDate(cells, 1),
-        marketplace: this.extractMarketplace(cells),
-        textContent: row.textContent.toLowerCase(),
-        documentVersionId: viewButton?.value || '',
-        buttonData: this.extractButtonData(viewButton),
-        isVisible: true,
-        isSelected: false
-      };
+      if (parsed.invoiceId) {
+        this.rowDataCache.set(parsed.invoiceId, parsed);
+      }
+      this.rowsByElement.set(row, parsed);
+      this.allRows.push(parsed);
+      return parsed;
+    }
+
+    // Bring the page's own rows in line with the table after Amazon changed it: rows not seen
+    // before are parsed, rows that left the table are dropped. Imported rows are left alone.
+    // Returns the new and dropped records and how many known invoices moved to new elements.
+    syncRows(liveRows) {
+      const unseen = liveRows.filter(row => !this.rowsByElement.has(row));
+      const added = unseen.map(row => this.adoptRow(row)).filter(Boolean);
+      const reattached = unseen.length - added.length;
+
+      const live = new Set(liveRows);
+      const removed = this.allRows.filter(data => !data.isImported && !live.has(data.element));
+      if (removed.length > 0) {
+        const gone = new Set(removed);
+        this.allRows = this.allRows.filter(data => !gone.has(data));
+        this.filteredRows = this.filteredRows.filter(data => !gone.has(data));
+        removed.forEach(data => this.rowDataCache.delete(data.invoiceId));
+      }
 
-      this.rowDataCache.set(index, data);
-      return data;
+      if (added.length > 0 || removed.length > 0) {
+        this.filterCache.clear();
+      }
+      return { added, removed, reattached };
     }
 
-    // Extract button data attributes (all fields needed for Amazon's endpoint)
-    extractButtonData(button) {
-      if (!button) return {};
-      
-      return {
-        endDate: button.getAttribute('data-enddate'),
-        fileType: button.getAttribute('data-filetype'),
-        filterName: button.getAttribute('data-filtername'),
-        invoice: button.getAttribute('data-invoice'),
-        payeeRegistrationNumber: button.getAttribute('data-payeeregistrationnumber'),
-        rarId: button.getAttribute('data-rarid'),
-        shedDocumentName: button.getAttribute('data-sheddocumentname')
-      };
+    // Parse a row without caching - rows from other listings are read inside their own document
+    readRow(row, index, documentKind) {
+      return InvoiceParser.readRow(row, { index, documentKind, columnMap: this.getColumnMap(row) });
     }
 
-    extractInvoiceId(cells) {
-      for (let cell of cells) {
-        const text = cell.textContent.trim();
-        if (/^[A-Z]{2}-[A-Z]+-\d+-\d+$/.test(text)) {
-          return text;
-        }
-      }
-      return '';
+    // Plain copy of a row record without DOM references, safe for chrome.storage
+    serializeRow(data) {
+      return InvoiceParser.serializeRow(data);
     }
 
-    extractDate(cells, occurrence) {
-      const datePattern = /^\w{3}\s\w{3}\s\d{2}/;
-      let dateCount = 0;
-      
-      for (let cell of cells) {
-        const text = cell.textContent.trim();
-        if (text.match(datePattern)) {
-          if (dateCount === occurrence) {
-            return new Date(text).toISOString().split('T')[0];
-          }
-          dateCount++;
-        }
+    // Column positions keyed by field name, read once per table from its (possibly localised) header
+    getColumnMap(row) {
+      const table = row.closest('table');
+      if (!table) return {};
+      if (!this.columnMaps.has(table)) {
+        this.columnMaps.set(table, InvoiceParser.buildColumnMap(table));
       }
-      return '';
+      return this.columnMaps.get(table);
     }
 
-    extractMarketplace(cells) {
-      for (let cell of cells) {
-        const text = cell.textContent.trim();
-        if (text.startsWith('Amazon.')) {
-          return text.replace('Amazon.', '').toLowerCase();
-        }
-      }
-      return 'unknown';
+    findByInvoiceId(invoiceId) {
+      return this.rowDataCache.get(invoiceId);
+    }
+
+    // Parse rows of another listing (e.g. the credit notes tab) while they are still in their
+    // own document, skipping documents that are already known
+    addRowsFromDocument(doc, documentKind) {
+      const rows = doc.querySelectorAll(`${InvoiceParser.TABLE_SELECTOR} tbody tr`);
+      const added = [];
+
+      rows.forEach(row => {
+        const data = this.readRow(row, this.allRows.length, documentKind);
+        if (!data.invoiceId || this.findByInvoiceId(data.invoiceId)) return;
+
+        this.rowDataCache.set(data.invoiceId, data);
+        this.allRows.push(data);
+        added.push(data);
+      });
+
+      this.filterCache.clear();
+      return added;
+    }
+
+    // Human readable name for a set of rows: "invoices", "credit notes" or "documents"
+    describeKinds(rows, count = 2) {
+      const kinds = new Set(rows.map(data => data.documentKind));
+      if (kinds.size !== 1) return count === 1 ? 'document' : 'documents';
+      const labels = DOCUMENT_KINDS[[...kinds][0]];
+      return count === 1 ? labels.singular : labels.plural;
     }
 
     // Initialize data with chunked processing
     async initializeData(tableRows) {
       if (this.isInitialized) return;
 
-      await this.loadDownloadStatus();
-      
       const chunks = this.chunkArray(Array.from(tableRows), CONFIG.CHUNK_SIZE);
       
       for (let chunk of chunks) {
@@ -184,16 +349,17 @@
         await this.sleep(0);
       }
 
+      // History is kept per seller account; the payer registration fallback needs the parsed rows
+      this.account = InvoiceParser.accountFromDocument(document, this.allRows);
+      await DownloadHistory.registerAccount(this.account);
+      await this.loadDownloadStatus();
+
       this.filteredRows = [...this.allRows];
       this.isInitialized = true;
     }
 
     async processChunk(chunk) {
-      chunk.forEach((row, localIndex) => {
-        const globalIndex = this.allRows.length;
-        const data = this.parseRowData(row, globalIndex);
-        this.allRows.push(data);
-      });
+      chunk.forEach(row => this.adoptRow(row));
     }
 
     chunkArray(array, size) {
@@ -217,7 +383,8 @@
         return this.filteredRows;
       }
 
-      this.filteredRows = this.allRows.filter(data => {
+      this.orderedRows = null;
+      this.filteredRows = this.orderRows(this.allRows).filter(data => {
         // Marketplace filter
         if (filters.marketplace && !data.textContent.includes(filters.marketplace.toLowerCase())) {
           return false;
@@ -231,6 +398,27 @@
           return false;
         }
 
+        // Document kind filter (invoices / credit notes)
+        if (filters.documentKind && data.documentKind !== filters.documentKind) {
+          return false;
+        }
+
+        // Multi-select filters match exact values; nothing selected means any value
+        for (let filter of MULTI_FILTERS) {
+          const selected = filters[filter.key];
+          if (selected?.length > 0 && !selected.includes(filter.value(data) || '')) {
+            return false;
+          }
+        }
+
+        // Free-text search: every word must appear in the row text or the invoice category
+        if (filters.search) {
+          const text = `${data.textContent} ${(data.buttonData?.filterName || '').toLowerCase()}`;
+          if (!filters.search.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word))) {
+            return false;
+          }
+        }
+
         // Status filter
         if (filters.status) {
           const downloadStatus = this.getDownloadStatus(data.invoiceId);
@@ -252,6 +440,45 @@
       return this.filteredRows;
     }
 
+    // Sort column and grouping of the table (see SORT_COLUMNS and GROUPINGS); applies with the next
+    // filter run, so rows don't jump around while downloads change their status
+    setOrder(order) {
+      this.order = { ...this.order, ...order };
+      this.orderedRows = null;
+      this.filterCache.clear();
+    }
+
+    isOrdered() {
+      return Boolean(this.order.sortKey || this.order.groupBy);
+    }
+
+    // Rows grouped first, then by the sort column; ties keep Amazon's order
+    orderRows(rows) {
+      if (!this.isOrdered()) return rows;
+
+      const grouping = GROUPINGS[this.order.groupBy];
+      const sortValue = SORT_COLUMNS[this.order.sortKey];
+      const direction = this.order.ascending ? 1 : -1;
+
+      return [...rows].sort((a, b) => {
+        if (grouping) {
+          const result = grouping.compare(grouping.key(a), grouping.key(b));
+          if (result !== 0) return result;
+        }
+        if (!sortValue) return 0;
+        return direction * String(sortValue(a, this)).localeCompare(String(sortValue(b, this)), undefined, { numeric: true });
+      });
+    }
+
+    // Every row, matching the filters or not, in display order
+    getOrderedRows() {
+      if (!this.isOrdered()) return this.allRows;
+      if (!this.orderedRows) {
+        this.orderedRows = this.orderRows(this.allRows);
+      }
+      return this.orderedRows;
+    }
+
     getVisibleRowsSlice(startIndex, endIndex) {
       return this.filteredRows.slice(startIndex, endIndex);
     }
@@ -272,6 +499,22 @@
       }
     }
 
+    // Select or deselect every filtered row between two positions (inclusive)
+    selectRange(fromIndex, toIndex, selected) {
+      const start = Math.min(fromIndex, toIndex);
+      const end = Math.max(fromIndex, toIndex);
+      for (let i = start; i <= end; i++) {
+        this.toggleSelection(i, selected);
+      }
+    }
+
+    // 'all', 'none' or 'some' of the filtered rows selected - drives the tri-state checkboxes
+    getSelectionState() {
+      const selectedCount = this.getSelectedCount();
+      if (selectedCount === 0) return 'none';
+      return selectedCount === this.filteredRows.length ? 'all' : 'some';
+    }
+
     selectAllVisible(selected) {
       this.filteredRows.forEach(data => {
         data.isSelected = selected;
@@ -286,10 +529,11 @@
       });
     }
 
+    // Content hashes are kept so PDFs still on disk are not saved again
     clearDownloadHistory() {
       this.downloadedInvoices.clear();
       this.downloadStatus.clear();
-      chrome.storage.local.remove([CONFIG.STORAGE_KEY, CONFIG.STORAGE_KEY + '_status']);
+      DownloadHistory.clear(this.account);
     }
   }
 
@@ -299,26 +543,135 @@
       this.dataManager = dataManager;
       this.isDownloading = false;
       this.currentDownload = null;
-      this.abortController = null;
+      this.activeControllers = new Set(); // One per in-flight download (workers run in parallel)
+      this.cancelled = false;
+      this.filenameTemplate = FilenameTemplate.DEFAULT_TEMPLATE;
+    }
+
+    // Run a download step, retrying transient failures with exponential backoff and jitter
+    async withRetry(task, onAttempt) {
+      for (let attempt = 1; ; attempt++) {
+        onAttempt(attempt, 0);
+
+        try {
+          return await task();
+        } catch (error) {
+          // A failure caused by cancelling is not the invoice's fault
+          if (this.cancelled) {
+            throw new DownloadError('Download cancelled', { cancelled: true });
+          }
+          error.attempts = attempt;
+          if (!DownloadError.isRetryable(error) || attempt >= CONFIG.RETRY_ATTEMPTS) {
+            throw error;
+          }
+
+          const delay = Math.max(this.getBackoffDelay(attempt), error.retryAfter || 0);
+          console.warn(`Attempt ${attempt} failed (${error.message}), retrying in ${Math.round(delay / 1000)}s`);
+          onAttempt(attempt + 1, delay);
+          await this.sleep(delay);
+          if (this.cancelled) {
+            throw new DownloadError('Download cancelled', { cancelled: true });
+          }
+        }
+      }
+    }
+
+    // "Equal jitter": half the exponential delay is fixed, the other half random
+    getBackoffDelay(attempt) {
+      const delay = Math.min(CONFIG.RETRY_BASE_DELAY * 2 ** (attempt - 1), CONFIG.RETRY_MAX_DELAY);
+      return delay / 2 + Math.random() * (delay / 2);
+    }
+
+    sleep(ms) {
+      return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     // Download PDF directly using Amazon's actual endpoint - NO TAB OPENING
     async downloadPdfDirect(invoiceData) {
+      const pdfBlob = await this.fetchPdfBlob(invoiceData);
+      const sha256 = await this.hashBlob(pdfBlob);
+      const amounts = await this.readAmounts(pdfBlob, invoiceData);
+
+      // Generate filename
+      const filename = this.generateFilename(invoiceData);
+
+      // The same PDF is still on disk (history cleared, extension reinstalled) - don't save a copy
+      const existing = await this.findSavedCopy(invoiceData.invoiceId, sha256, filename, pdfBlob.size);
+      if (existing?.verified) {
+        return { success: true, filename: existing.path, amounts, sha256, alreadySaved: true };
+      }
+      if (existing) {
+        return { success: true, filename: existing.path, amounts, sha256, matchedBySize: true };
+      }
+
+      // Download using the extension's download API
+      const saved = await this.downloadBlob(pdfBlob, filename);
+
+      return { success: true, filename: saved.filename || filename, amounts, sha256 };
+    }
+
+    // Hex SHA-256 of a fetched PDF
+    async hashBlob(blob) {
+      const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+      return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // { path, verified } of a saved copy of this PDF, or null. With a recorded hash the recorded file
+    // is looked up (verified); without one, a completed download under the planned name with the
+    // same size counts, but its content was never compared (unverified). A reissued invoice
+    // (different hash) is always saved.
+    async findSavedCopy(invoiceId, sha256, filename, size) {
+      const known = this.dataManager.contentHashes.get(invoiceId);
+      if (known && (known.sha256 !== sha256 || known.path.endsWith('.zip'))) return null;
+
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'find_saved_file',
+          ...(known ? { path: known.path } : { filename, fileSize: size })
+        });
+        return response?.path ? { path: response.path, verified: Boolean(known) } : null;
+      } catch (error) {
+        console.warn(`Could not look for an existing copy of ${invoiceId}:`, error.message);
+        return null;
+      }
+    }
+
+    // Totals from the PDF's text layer when enabled in the options; a PDF that cannot be read
+    // still downloads, just without amounts
+    async readAmounts(pdfBlob, invoiceData) {
+      if (!CONFIG.EXTRACT_AMOUNTS) return null;
+
+      try {
+        const text = await PdfText.extract(pdfBlob);
+        const amounts = InvoiceAmounts.parse(text, InvoiceLocale.detectLanguage(document));
+        if (!amounts) {
+          console.warn(`No amounts found in ${invoiceData.invoiceId}`);
+        }
+        return amounts;
+      } catch (error) {
+        console.warn(`Could not read amounts from ${invoiceData.invoiceId}:`, error.message);
+        return null;
+      }
+    }
+
+    // Fetch the PDF blob without saving it (used directly for ZIP archives)
+    async fetchPdfBlob(invoiceData) {
       const { documentVersionId, invoiceId, buttonData } = invoiceData;
       
       if (!documentVersionId && !buttonData.rarId) {
-        throw new Error('No document version ID or rarId found');
+        throw new DownloadError('No document version ID or rarId found');
       }
 
       // Create abort controller for timeout
-      this.abortController = new AbortController();
+      const abortController = new AbortController();
+      this.activeControllers.add(abortController);
       const timeoutId = setTimeout(() => {
-        this.abortController.abort();
+        abortController.abort();
       }, CONFIG.DOWNLOAD_TIMEOUT);
 
       try {
         // Step 1: Get PDF URL from Amazon's endpoint (same as original button click)
-        const pdfUrl = await this.getPdfUrlFromAmazon(documentVersionId, buttonData);
+        const pdfUrl = await this.getPdfUrlFromAmazon(documentVersionId, buttonData, abortController.signal);
         
         console.log(`Direct download: ${invoiceId} from ${pdfUrl}`);
 
@@ -326,7 +679,7 @@
         const response = await fetch(pdfUrl, {
           method: 'GET',
           credentials: 'include', // Include session cookies
-          signal: this.abortController.signal,
+          signal: abortController.signal,
           headers: {
             'Accept': 'application/pdf,*/*',
             'Cache-Control': 'no-cache'
@@ -335,38 +688,39 @@
 
         clearTimeout(timeoutId);
 
+        if (InvoiceParser.isSignInUrl(response.url)) {
+          throw DownloadError.forExpiredSession(response);
+        }
         if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          throw DownloadError.fromResponse('PDF fetch failed', response);
         }
 
         // Get PDF blob
         const pdfBlob = await response.blob();
         
         if (pdfBlob.size === 0) {
-          throw new Error('Empty PDF received');
+          throw new DownloadError('Empty PDF received', { retryable: true });
         }
 
-        // Generate filename
-        const filename = this.generateFilename(invoiceData);
-        
-        // Download using browser's download API
-        await this.downloadBlob(pdfBlob, filename);
-        
-        return { success: true, filename };
+        return pdfBlob;
 
       } catch (error) {
         clearTimeout(timeoutId);
         
         if (error.name === 'AbortError') {
-          throw new Error('Download timeout');
+          throw this.cancelled
+            ? new DownloadError('Download cancelled', { cancelled: true })
+            : new DownloadError('Download timeout', { retryable: true });
         }
         
         throw error;
+      } finally {
+        this.activeControllers.delete(abortController);
       }
     }
 
     // Get PDF URL from Amazon's endpoint (replicates the original button behavior)
-    async getPdfUrlFromAmazon(documentVersionId, buttonData) {
+    async getPdfUrlFromAmazon(documentVersionId, buttonData, signal) {
       // Construct the request payload exactly like Amazon's original code
       const value = {
         fileType: encodeURIComponent(buttonData.fileType || ''),
@@ -393,6 +747,7 @@
       const response = await fetch('/tax/view-seller-fee-invoice-execute', {
         method: 'POST',
         credentials: 'include',
+        signal,
         headers: {
           'Content-Type': 'application/json',
           'X-Requested-With': 'XMLHttpRequest'
@@ -400,85 +755,258 @@
         body: JSON.stringify(value)
       });
 
+      if (InvoiceParser.isSignInUrl(response.url) || response.status === 401 || response.status === 403) {
+        throw DownloadError.forExpiredSession(response);
+      }
       if (!response.ok) {
-        throw new Error(`Failed to get PDF URL: ${response.status} ${response.statusText}`);
+        throw DownloadError.fromResponse('Failed to get PDF URL', response);
       }
 
-      const data = await response.json();
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        // An HTML error or maintenance page instead of the JSON answer
+        throw new DownloadError(`Unexpected answer from Amazon: ${error.message}`, { retryable: true });
+      }
       
       if (!data.url) {
-        throw new Error('No PDF URL returned from Amazon');
+        throw new DownloadError('No PDF URL returned from Amazon', { retryable: true });
       }
 
       return data.url;
     }
 
-    // Download blob as file
+    // Hand the blob to the background script, which saves it with chrome.downloads into the
+    // configured folder and only answers once the file has actually been written. An object URL
+    // created here would belong to the Amazon page, which the extension can't rely on reading, so
+    // the bytes are sent in chunks and the URL is created in the extension's offscreen document.
     async downloadBlob(blob, filename) {
-      return new Promise((resolve, reject) => {
-        try {
-          // Create object URL
-          const url = URL.createObjectURL(blob);
-          
-          // Create download link
-          const a = document.createElement('a');
-          a.href = url;
-          a.download = filename;
-          a.style.display = 'none';
-          
-          // Trigger download
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-          
-          // Cleanup
-          setTimeout(() => {
-            URL.revokeObjectURL(url);
-            resolve();
-          }, 100);
-          
-        } catch (error) {
-          reject(error);
+      const transferId = crypto.randomUUID();
+
+      let response;
+      try {
+        for (let offset = 0; offset < blob.size; offset += CONFIG.TRANSFER_CHUNK_SIZE) {
+          await chrome.runtime.sendMessage({
+            action: 'stage_download_chunk',
+            transferId,
+            data: await this.blobToBase64(blob.slice(offset, offset + CONFIG.TRANSFER_CHUNK_SIZE))
+          });
         }
+        response = await chrome.runtime.sendMessage({
+          action: 'save_download',
+          transferId,
+          type: blob.type,
+          size: blob.size,
+          filename
+        });
+      } catch (error) {
+        // The service worker was restarting or unreachable
+        throw new DownloadError(`Could not hand the file to the background script: ${error.message}`, { retryable: true });
+      }
+
+      if (!response) {
+        throw new DownloadError('No response from background script', { retryable: true });
+      }
+      if (!response.success) {
+        // Without a download id Chrome refused to start it (e.g. an invalid file name) unless the
+        // hand-over itself failed; a started download that was interrupted can be tried again
+        // unless the disk itself is the problem
+        const retryable = response.retryable ||
+          (response.downloadId !== undefined && !PERMANENT_INTERRUPTIONS.includes(response.error));
+        throw new DownloadError(`Download interrupted: ${response.error}`, { retryable });
+      }
+      return response;
+    }
+
+    // Base64 of a blob, since extension messages only carry JSON
+    blobToBase64(blob) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
       });
     }
 
-    // Generate clean filename
+    // Generate clean filename from the configured template (see filename-template.js)
     generateFilename(invoiceData) {
-      const { invoiceId, endDate, marketplace } = invoiceData;
-      const date = endDate ? endDate.split('T')[0] : 'unknown-date';
-      const cleanInvoiceId = invoiceId.replace(/[^a-zA-Z0-9-]/g, '_');
-      const cleanMarketplace = marketplace || 'unknown';
-      
-      return `${date}_${cleanInvoiceId}_${cleanMarketplace}.pdf`;
+      return FilenameTemplate.render(this.filenameTemplate, invoiceData);
+    }
+
+    // Bundle fetched PDFs into a single archive and save it
+    async downloadArchive(entries, archiveName) {
+      const zip = new ZipWriter();
+      for (let entry of entries) {
+        await zip.addFile(entry.filename, entry.blob);
+      }
+      const saved = await this.downloadBlob(zip.toBlob(), archiveName);
+      return { success: true, filename: saved.filename || archiveName };
+    }
+
+    // Name an archive (or export) after the active filters, e.g. amazon_invoices_2025-Q4_pl.zip
+    generateArchiveName(filters, rows, extension = 'zip') {
+      const onlyCreditNotes = rows.length > 0 && rows.every(data => data.documentKind === 'credit-note');
+      const parts = [onlyCreditNotes ? 'amazon_credit_notes' : 'amazon_invoices'];
+
+      const period = this.describePeriod(filters.dateFrom, filters.dateTo) ||
+        this.describeRowsPeriod(rows);
+      if (period) parts.push(period);
+
+      const marketplace = filters.marketplace
+        ? filters.marketplace.toLowerCase().replace(/^amazon\./, '')
+        : this.commonValue(rows.map(data => data.marketplace));
+      if (marketplace && marketplace !== 'unknown') parts.push(marketplace);
+
+      return parts.join('_').replace(/[^a-zA-Z0-9_.-]/g, '_') + '.' + extension;
+    }
+
+    // Collapse a date range into YYYY, YYYY-Qn or YYYY-MM when it spans exactly that period
+    describePeriod(dateFrom, dateTo) {
+      if (!dateFrom && !dateTo) return '';
+      if (!dateFrom) return `until-${dateTo}`;
+      if (!dateTo) return `from-${dateFrom}`;
+
+      const [fromYear, fromMonth, fromDay] = dateFrom.split('-').map(Number);
+      const [toYear, toMonth, toDay] = dateTo.split('-').map(Number);
+      const lastDay = new Date(Date.UTC(toYear, toMonth, 0)).getUTCDate();
+
+      if (fromYear === toYear && fromDay === 1 && toDay === lastDay) {
+        if (fromMonth === 1 && toMonth === 12) return `${fromYear}`;
+        if (fromMonth === toMonth) return dateFrom.slice(0, 7);
+        if (fromMonth % 3 === 1 && toMonth === fromMonth + 2) {
+          return `${fromYear}-Q${(fromMonth + 2) / 3}`;
+        }
+      }
+      return `${dateFrom}_${dateTo}`;
+    }
+
+    // Without a date filter, name the archive after the billing months it contains
+    describeRowsPeriod(rows) {
+      const months = [...new Set(rows.map(data => data.endDate.slice(0, 7)).filter(Boolean))].sort();
+      if (months.length === 0) return '';
+      if (months.length === 1) return months[0];
+
+      const first = months[0];
+      const last = months[months.length - 1];
+      const quarter = (month) => `${month.slice(0, 4)}-Q${Math.ceil(Number(month.slice(5, 7)) / 3)}`;
+      return quarter(first) === quarter(last) ? quarter(first) : `${first}_${last}`;
+    }
+
+    commonValue(values) {
+      const unique = new Set(values.filter(Boolean));
+      return unique.size === 1 ? [...unique][0] : '';
     }
 
     // Cancel current download
     cancelDownload() {
-      if (this.abortController) {
-        this.abortController.abort();
-      }
+      this.cancelled = true;
+      this.activeControllers.forEach(controller => controller.abort());
       this.isDownloading = false;
       this.currentDownload = null;
     }
   }
 
+  // Paces the download workers: halves concurrency and doubles the pause between downloads
+  // when Amazon answers 429/503, then gradually speeds back up while responses stay healthy
+  class AdaptiveThrottle {
+    constructor(maxConcurrency, baseDelay) {
+      this.maxConcurrency = maxConcurrency;
+      this.concurrency = maxConcurrency;
+      this.baseDelay = baseDelay;
+      this.delay = baseDelay;
+      this.active = 0;
+      this.cooldownUntil = 0;
+      this.healthyStreak = 0;
+    }
+
+    // Wait for a free worker slot (and any cool-down); resolves false if cancelled meanwhile
+    async acquire(isCancelled) {
+      while (!isCancelled()) {
+        const cooldown = this.cooldownUntil - Date.now();
+        if (this.active < this.concurrency && cooldown <= 0) {
+          this.active++;
+          return true;
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.min(Math.max(cooldown, 200), 1000)));
+      }
+      return false;
+    }
+
+    release() {
+      this.active--;
+    }
+
+    isThrottleResponse(error) {
+      return error instanceof DownloadError && (error.status === 429 || error.status === 503);
+    }
+
+    reportThrottled() {
+      this.healthyStreak = 0;
+      this.concurrency = Math.max(1, Math.floor(this.concurrency / 2));
+      this.delay = Math.min(this.delay * 2, CONFIG.THROTTLE_MAX_DELAY);
+      this.cooldownUntil = Date.now() + this.delay;
+      console.warn(`Throttled by Amazon - ${this.concurrency} worker(s), ${this.delay}ms between downloads`);
+    }
+
+    reportHealthy() {
+      this.healthyStreak++;
+      if (this.healthyStreak < CONFIG.THROTTLE_RECOVERY_STREAK) return;
+
+      this.healthyStreak = 0;
+      if (this.delay > this.baseDelay) {
+        this.delay = Math.max(this.baseDelay, Math.round(this.delay / 2));
+      } else if (this.concurrency < this.maxConcurrency) {
+        this.concurrency++;
+      }
+    }
+
+    // Wrap a download step so every response feeds the throttle
+    track(task) {
+      return async () => {
+        try {
+          const result = await task();
+          this.reportHealthy();
+          return result;
+        } catch (error) {
+          if (this.isThrottleResponse(error)) {
+            this.reportThrottled();
+          }
+          throw error;
+        }
+      };
+    }
+  }
+
   // Enhanced filter manager with status filtering
   class FilterManager {
     constructor(dataManager, updateCallback) {
       this.dataManager = dataManager;
       this.updateCallback = updateCallback;
       this.debounceTimer = null;
-      this.currentFilters = {
+      this.currentFilters = FilterManager.emptyFilters();
+    }
+
+    static emptyFilters() {
+      const filters = {
         marketplace: '',
         dateFrom: '',
         dateTo: '',
-        status: '' // 'pending', 'downloaded', 'failed'
+        documentKind: '', // 'invoice', 'credit-note'
+        status: '', // 'pending', 'downloaded', 'failed'
+        range: '', // Relative date range (see filter-presets.js), sets dateFrom and dateTo
+        search: ''
       };
+      MULTI_FILTERS.forEach(filter => { filters[filter.key] = []; });
+      return filters;
     }
 
     updateFilter(filterType, value) {
       this.currentFilters[filterType] = value;
+      // Picking dates by hand replaces a relative range
+      if (filterType === 'dateFrom' || filterType === 'dateTo') {
+        this.currentFilters.range = '';
+      }
       
       clearTimeout(this.debounceTimer);
       this.debounceTimer = setTimeout(() => {
@@ -491,63 +1019,614 @@
       
       this.dataManager.applyFilters(this.currentFilters);
       this.updateCallback();
+      this.updateLocationHash();
 
       const endTime = performance.now();
       console.log(`Filter applied in ${endTime - startTime}ms`);
     }
 
     clearFilters() {
-      this.currentFilters = {
-        marketplace: '',
-        dateFrom: '',
-        dateTo: '',
-        status: ''
-      };
+      this.currentFilters = FilterManager.emptyFilters();
       this.applyFilters();
     }
-  }
-
-  // Main application class
-  class InvoiceDownloader {
-    constructor() {
-      this.dataManager = new InvoiceDataManager();
-      this.downloadManager = new DirectDownloadManager(this.dataManager);
-      this.filterManager = null;
-      this.isDownloading = false;
-      this.downloadQueue = [];
-      this.currentDownloadIndex = 0;
-    }
 
-    async init() {
-      const table = document.querySelector('table.fba-core-data');
-      if (!table) {
-        console.log('Amazon Invoice Downloader: Table not found');
-        return;
+    // Replace the whole filter state (a preset or a link); relative ranges get today's dates
+    setFilters(filters) {
+      clearTimeout(this.debounceTimer);
+      this.currentFilters = FilterPresets.normalize(filters, FilterManager.emptyFilters());
+      const dates = FilterPresets.rangeDates(this.currentFilters.range, {
+        month: Number(CONFIG.TAX_YEAR_START_MONTH),
+        day: CONFIG.TAX_YEAR_START_DAY
+      });
+      if (dates) {
+        Object.assign(this.currentFilters, dates);
       }
+      this.applyFilters();
+    }
 
-      this.showLoadingIndicator();
-
-      // Initialize data manager
-      const rows = table.querySelectorAll('tbody tr');
-      await this.dataManager.initializeData(rows);
+    // Mirror the filters in the URL hash so the address can be shared; other hashes are left alone
+    updateLocationHash() {
+      if (location.hash && !location.hash.startsWith(FilterPresets.HASH_PREFIX)) return;
 
-      // Inject enhanced toolbar
-      this.injectEnhancedToolbar(table);
+      const hash = FilterPresets.toHash(this.currentFilters);
+      if (hash !== location.hash) {
+        history.replaceState(history.state, '', hash || location.pathname + location.search);
+      }
+    }
+  }
 
-      // Initialize filter manager
-      this.filterManager = new FilterManager(this.dataManager, () => {
-        this.updateDisplay();
+  // Fetches other Seller Fee listing pages with the user's session cookies
+  class ListingLoader {
+    async fetchDocument(url) {
+      const response = await fetch(url, {
+        credentials: 'include',
+        headers: { 'Accept': 'text/html' }
       });
 
-      // Setup event listeners
-      this.attachEventListeners();
+      if (!response.ok) {
+        throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+      }
+      if (InvoiceParser.isSignInUrl(response.url)) {
+        throw new Error('Your Seller Central session has expired - please reload the page and sign in');
+      }
 
-      // Initial display update
-      this.updateDisplay();
+      return new DOMParser().parseFromString(await response.text(), 'text/html');
+    }
 
-      this.hideLoadingIndicator();
+  }
 
-      console.log(`Initialized with ${this.dataManager.allRows.length} rows`);
+  // Keeps the Amazon table in sync with the filters: hides (or dims) non-matching rows and
+  // virtualises large result sets so only rows near the viewport are rendered
+  class TableViewManager {
+    constructor(dataManager) {
+      this.dataManager = dataManager;
+      this.tbody = null;
+      this.topSpacer = null;
+      this.bottomSpacer = null;
+      this.dimNonMatching = false;
+      this.rowHeight = CONFIG.ROW_HEIGHT;
+      this.renderFrame = null;
+      this.renderedRange = null;
+      this.isListening = false;
+      this.groups = new Map(); // Group key -> { key, title, rows, element } of the grouped view
+      this.groupElements = new Map(); // "grouping:key" -> header row, reused across renders
+      this.displayItems = null; // Display rows with group headers, cached per display row list
+      this.arrangedElements = null; // Row order last put into the table body
+    }
+
+    // Also called again when Amazon re-renders the table body
+    attach(table) {
+      this.topSpacer?.remove();
+      this.bottomSpacer?.remove();
+      this.tbody = table.querySelector('tbody');
+      this.topSpacer = this.createSpacer();
+      this.bottomSpacer = this.createSpacer();
+      this.tbody.insertBefore(this.topSpacer, this.tbody.querySelector('tr'));
+      this.tbody.appendChild(this.bottomSpacer);
+      this.renderedRange = null;
+      this.arrangedElements = null;
+
+      if (this.isListening) return;
+      this.isListening = true;
+
+      const onViewportChange = () => {
+        if (this.isVirtualized()) this.scheduleRender();
+      };
+      window.addEventListener('scroll', onViewportChange, { passive: true });
+      window.addEventListener('resize', onViewportChange, { passive: true });
+    }
+
+    createSpacer() {
+      const spacer = document.createElement('tr');
+      spacer.className = 'amz-spacer-row';
+      spacer.innerHTML = '<td colspan="100"></td>';
+      spacer.style.display = 'none';
+      return spacer;
+    }
+
+    // Add rows from another listing at the end of the table (before the bottom spacer)
+    appendRows(elements) {
+      elements.forEach(element => this.tbody.insertBefore(element, this.bottomSpacer));
+    }
+
+    setDimNonMatching(dim) {
+      this.dimNonMatching = dim;
+      this.render();
+    }
+
+    // Rows that take up space in the table: all rows when dimming, only matches when hiding
+    getDisplayRows() {
+      return this.dimNonMatching ? this.dataManager.getOrderedRows() : this.dataManager.filteredRows;
+    }
+
+    // Display rows with a group header in front of each group when the table is grouped; the
+    // headers are virtualised like rows
+    getDisplayItems() {
+      const rows = this.getDisplayRows();
+      const groupBy = this.dataManager.order.groupBy;
+      const grouping = GROUPINGS[groupBy];
+      if (!grouping) {
+        this.groups = new Map();
+        return rows;
+      }
+      if (this.displayItems?.rows === rows && this.displayItems.groupBy === groupBy) {
+        return this.displayItems.items;
+      }
+
+      // Rows arrive ordered by group (see InvoiceDataManager.orderRows)
+      const items = [];
+      this.groups = new Map();
+      rows.forEach(data => {
+        const key = grouping.key(data);
+        let group = this.groups.get(key);
+        if (!group) {
+          group = { key, title: grouping.title(key), rows: [], element: this.getGroupElement(groupBy, key) };
+          this.groups.set(key, group);
+          items.push(group);
+        }
+        group.rows.push(data);
+        items.push(data);
+      });
+
+      this.displayItems = { rows, groupBy, items };
+      return items;
+    }
+
+    getGroupElement(groupBy, key) {
+      const id = `${groupBy}:${key}`;
+      if (!this.groupElements.has(id)) {
+        const row = document.createElement('tr');
+        row.className = 'amz-group-row';
+        row.dataset.group = key;
+        row.innerHTML = `
+          <td colspan="100">
+            <label class="amz-checkbox-label">
+              <input type="checkbox" class="amz-checkbox amz-group-checkbox" title="Select this group">
+              <span class="amz-group-title"></span>
+            </label>
+            <span class="amz-group-count"></span>
+          </td>
+        `;
+        this.groupElements.set(id, row);
+      }
+      return this.groupElements.get(id);
+    }
+
+    isVirtualized() {
+      return this.getDisplayItems().length > CONFIG.MAX_VISIBLE_ROWS;
+    }
+
+    scheduleRender() {
+      if (this.renderFrame) return;
+      this.renderFrame = requestAnimationFrame(() => {
+        this.renderFrame = null;
+        const range = this.computeRange(this.getDisplayItems().length);
+        // Skip work while scrolling inside the already rendered buffer
+        if (!this.renderedRange || range.start !== this.renderedRange.start || range.end !== this.renderedRange.end) {
+          this.render();
+        }
+      });
+    }
+
+    // Window of display rows around the viewport, padded by VIRTUAL_SCROLL_BUFFER on each side
+    computeRange(total) {
+      if (total <= CONFIG.MAX_VISIBLE_ROWS) {
+        return { start: 0, end: total };
+      }
+
+      const tbodyTop = this.tbody.getBoundingClientRect().top;
+      const firstVisible = Math.floor(Math.max(0, -tbodyTop) / this.rowHeight);
+      const visibleCount = Math.ceil(window.innerHeight / this.rowHeight);
+
+      const start = Math.max(0, Math.min(firstVisible, total - visibleCount) - CONFIG.VIRTUAL_SCROLL_BUFFER);
+      const end = Math.min(total, firstVisible + visibleCount + CONFIG.VIRTUAL_SCROLL_BUFFER);
+      return { start, end };
+    }
+
+    render() {
+      if (!this.tbody) return;
+
+      const matching = new Set(this.dataManager.filteredRows);
+      const items = this.getDisplayItems();
+      this.arrangeRows(items);
+      const range = this.computeRange(items.length);
+      const rendered = new Set(items.slice(range.start, range.end));
+
+      this.dataManager.allRows.forEach(data => {
+        data.isVisible = matching.has(data);
+        data.element.classList.toggle('amz-dimmed-row', this.dimNonMatching && !data.isVisible);
+        data.element.classList.toggle('amz-hidden-row', !rendered.has(data));
+      });
+      this.renderGroups(rendered);
+
+      this.measureRowHeight(items[range.start]);
+      this.setSpacerHeight(this.topSpacer, range.start);
+      this.setSpacerHeight(this.bottomSpacer, items.length - range.end);
+      this.renderedRange = range;
+    }
+
+    // Put the rows into display order when the table is sorted or grouped, and back into Amazon's
+    // order afterwards. Rows outside the filter stay where they are, hidden.
+    arrangeRows(items) {
+      if (!this.dataManager.isOrdered() && !this.arrangedElements) return;
+
+      const elements = this.dataManager.isOrdered()
+        ? items.map(item => item.element)
+        : this.dataManager.allRows.map(data => data.element);
+      const unchanged = this.arrangedElements?.length === elements.length &&
+        elements.every((element, i) => element === this.arrangedElements[i]);
+      if (unchanged) return;
+
+      const fragment = document.createDocumentFragment();
+      elements.forEach(element => fragment.appendChild(element));
+      this.tbody.insertBefore(fragment, this.bottomSpacer);
+      this.arrangedElements = this.dataManager.isOrdered() ? elements : null;
+    }
+
+    // Header rows of the grouped view: title, matching count and a tri-state "select group" box
+    renderGroups(rendered) {
+      const current = new Set([...this.groups.values()].map(group => group.element));
+      this.groupElements.forEach(element => {
+        if (!current.has(element)) element.remove();
+      });
+
+      this.groups.forEach(group => {
+        group.element.classList.toggle('amz-hidden-row', !rendered.has(group));
+        if (!rendered.has(group)) return;
+
+        const matching = group.rows.filter(data => data.isVisible);
+        const selected = matching.filter(data => data.isSelected).length;
+        const checkbox = group.element.querySelector('.amz-group-checkbox');
+        checkbox.checked = matching.length > 0 && selected === matching.length;
+        checkbox.indeterminate = selected > 0 && selected < matching.length;
+        checkbox.disabled = matching.length === 0;
+
+        group.element.querySelector('.amz-group-title').textContent = group.title;
+        group.element.querySelector('.amz-group-count').textContent =
+          `${matching.length} ${this.dataManager.describeKinds(matching, matching.length)}` +
+          (selected > 0 ? `, ${selected} selected` : '');
+      });
+    }
+
+    // Rows of a group that match the filters; what "select group" selects
+    getGroupRows(key) {
+      return (this.groups.get(key)?.rows || []).filter(data => data.isVisible);
+    }
+
+    // Amazon rows can wrap onto several lines, so use the real height once a row is on screen
+    measureRowHeight(data) {
+      const height = data?.element.offsetHeight;
+      if (height) {
+        this.rowHeight = height;
+      }
+    }
+
+    setSpacerHeight(spacer, rowCount) {
+      spacer.style.display = rowCount > 0 ? '' : 'none';
+      spacer.style.height = `${rowCount * this.rowHeight}px`;
+    }
+  }
+
+  // Main application class
+  class InvoiceDownloader {
+    constructor() {
+      this.dataManager = new InvoiceDataManager();
+      this.downloadManager = new DirectDownloadManager(this.dataManager);
+      this.filterManager = null;
+      this.presets = {}; // Preset name -> filter state (see filter-presets.js)
+      this.tableView = new TableViewManager(this.dataManager);
+      this.listingLoader = new ListingLoader();
+      this.table = null;
+      this.toolbar = null;
+      this.pageObserver = null;
+      this.syncTimer = null;
+      this.isReady = false; // Set once init has attached to the table
+      this.isDownloading = false;
+      this.isPaused = false;
+      this.sessionExpired = false; // Set when a run stops because Amazon asks to sign in again
+      this.downloadQueue = [];
+      this.remainingInvoiceIds = new Set(); // Queue entries not yet in a final state
+      this.currentDownloadIndex = 0;
+      this.lastSelectedRow = null; // Anchor row record for shift-click range selection
+      this.settings = ExtensionSettings.DEFAULTS;
+    }
+
+    async init() {
+      const table = document.querySelector(InvoiceParser.TABLE_SELECTOR);
+      if (!table) {
+        console.log('Amazon Invoice Downloader: Table not found - waiting for it to be rendered');
+        this.observePage();
+        return;
+      }
+      this.table = table;
+
+      this.showLoadingIndicator();
+
+      await this.loadSettings();
+
+      // Initialize data manager
+      const rows = table.querySelectorAll('tbody tr');
+      await this.dataManager.initializeData(rows);
+      this.saveSampleRow();
+      this.saveListingUrl();
+
+      // Inject enhanced toolbar and the per-row selection column
+      this.injectEnhancedToolbar(table);
+      this.injectSelectionColumn(table);
+      this.injectSortHeaders(table);
+      this.tableView.attach(table);
+
+      // Initialize filter manager
+      this.filterManager = new FilterManager(this.dataManager, () => {
+        this.updateDisplay();
+      });
+
+      // A link with filters in its hash opens pre-filtered
+      const linked = FilterPresets.fromHash(location.hash, FilterManager.emptyFilters());
+      if (linked) {
+        this.filterManager.setFilters(linked);
+      }
+      this.renderFilterControls();
+      await this.renderPresets();
+
+      // Setup event listeners
+      this.attachEventListeners();
+      this.attachTableListeners(table);
+      this.listenForHistoryChanges();
+      this.listenForPresetChanges();
+      this.observePage();
+      this.isReady = true;
+
+      // Initial display update
+      this.updateDisplay();
+
+      const hasSavedQueue = await this.offerSavedQueue();
+
+      this.hideLoadingIndicator();
+
+      console.log(`Initialized with ${this.dataManager.allRows.length} rows`);
+
+      // An interrupted run is offered for resume instead of starting a new one
+      if (!hasSavedQueue) {
+        await this.runAutoSync();
+      }
+    }
+
+    // Amazon may re-render the table, replace it when switching views in-page or add rows later;
+    // a debounced sync keeps the row records, status cells and toolbar in step with the page
+    observePage() {
+      if (this.pageObserver) return;
+
+      this.pageObserver = new MutationObserver(mutations => {
+        if (mutations.some(mutation => this.affectsTable(mutation))) {
+          clearTimeout(this.syncTimer);
+          this.syncTimer = setTimeout(() => this.syncWithPage(), CONFIG.TABLE_SYNC_DEBOUNCE_MS);
+        }
+      });
+      this.pageObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    // Rows, bodies or tables coming or going, or our toolbar being removed; our own rows, rows we
+    // moved for sorting and toolbar updates don't count
+    affectsTable(mutation) {
+      if (this.toolbar?.contains(mutation.target)) return false;
+
+      return [...mutation.addedNodes, ...mutation.removedNodes].some(node =>
+        node.nodeType === Node.ELEMENT_NODE && !this.isArrangedRow(node) && (
+          (node.matches('tr, tbody, table') && !node.matches('.amz-spacer-row, .amz-imported-row, .amz-group-row')) ||
+          (this.toolbar && node.contains(this.toolbar)) ||
+          node.querySelector(InvoiceParser.TABLE_SELECTOR) !== null
+        )
+      );
+    }
+
+    isArrangedRow(node) {
+      return this.dataManager.rowsByElement.has(node) && node.parentNode === this.tableView.tbody;
+    }
+
+    syncWithPage() {
+      const table = document.querySelector(InvoiceParser.TABLE_SELECTOR);
+      if (!table) return; // Mid re-render - the next mutation brings it back
+
+      if (!this.table) {
+        this.init();
+        return;
+      }
+      if (!this.isReady) return;
+
+      const tableChanged = this.adoptTable(table);
+
+      if (!this.toolbar.isConnected) {
+        table.parentElement.insertBefore(this.toolbar, table);
+        console.log('Amazon Invoice Downloader: Toolbar re-attached');
+      }
+
+      const pageRows = Array.from(table.querySelectorAll('tbody tr'))
+        .filter(row => !row.matches('.amz-spacer-row, .amz-imported-row, .amz-group-row'));
+      const { added, removed, reattached } = this.dataManager.syncRows(pageRows);
+
+      // Imported rows are ours to keep; put them back if a re-render dropped them
+      const detached = this.dataManager.allRows.filter(data => data.isImported && !data.element.isConnected);
+      this.tableView.appendRows(detached.map(data => data.element));
+
+      if (tableChanged || added.length > 0 || removed.length > 0 || reattached > 0 || detached.length > 0) {
+        this.injectSelectionColumn(table);
+        this.injectSortHeaders(table);
+        this.refreshFilterOptions();
+        this.filterManager.applyFilters();
+        console.log(`Amazon Invoice Downloader: Table changed - ${added.length} rows added, ` +
+          `${removed.length} removed, ${reattached} re-rendered`);
+      }
+    }
+
+    // Switch to a table (or table body) Amazon rendered in place of the one we were attached to;
+    // returns true when it did
+    adoptTable(table) {
+      let changed = false;
+      if (table !== this.table) {
+        this.table = table;
+        // An in-page switch between the invoice and credit note tabs changes the URL as well
+        this.dataManager.pageDocumentKind = detectDocumentKind(location.pathname);
+        this.attachTableListeners(table);
+        changed = true;
+      }
+      // Re-rendering the rows inside the same body drops our spacer rows as well
+      const tbody = table.querySelector('tbody');
+      if (this.tableView.tbody !== tbody ||
+          this.tableView.topSpacer?.parentNode !== tbody || this.tableView.bottomSpacer?.parentNode !== tbody) {
+        this.tableView.attach(table);
+        changed = true;
+      }
+      return changed;
+    }
+
+    // The history popup and backup import change the history; reload so resets count as pending again
+    listenForHistoryChanges() {
+      chrome.runtime.onMessage.addListener((request) => {
+        if (request.action !== 'history_changed' || request.account !== this.dataManager.account) return;
+
+        this.dataManager.loadDownloadStatus().then(() => {
+          this.dataManager.filterCache.clear();
+          this.filterManager.applyFilters();
+          console.log('Amazon Invoice Downloader: Download history reloaded');
+        });
+      });
+    }
+
+    // Presets are synced storage; another tab or computer may add or delete them
+    listenForPresetChanges() {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync' && changes[FilterPresets.STORAGE_KEY]) {
+          this.renderPresets(document.getElementById('amz-preset-select').value);
+        }
+      });
+    }
+
+    async renderPresets(selected = '') {
+      this.presets = await FilterPresets.load();
+      const select = document.getElementById('amz-preset-select');
+      select.length = 1;
+      Object.keys(this.presets)
+        .sort((a, b) => a.localeCompare(b))
+        .forEach(name => select.add(new Option(name, name)));
+      select.value = Object.hasOwn(this.presets, selected) ? selected : '';
+      document.getElementById('amz-delete-preset').disabled = !select.value;
+    }
+
+    async savePreset() {
+      const current = document.getElementById('amz-preset-select').value;
+      const name = prompt('Save the current filters as:', current)?.trim();
+      if (!name) return;
+      if (name !== current && Object.hasOwn(this.presets, name) && !confirm(`Replace the preset "${name}"?`)) return;
+
+      try {
+        await FilterPresets.save(name, this.filterManager.currentFilters);
+        await this.renderPresets(name);
+        console.log(`✅ Saved filter preset "${name}"`);
+      } catch (error) {
+        // chrome.storage.sync has a small quota
+        alert(`Could not save the preset: ${error.message}`);
+      }
+    }
+
+    async deletePreset() {
+      const name = document.getElementById('amz-preset-select').value;
+      if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+
+      await FilterPresets.remove(name);
+      await this.renderPresets();
+    }
+
+    // The page address with the filters in its hash; relative ranges stay relative for whoever opens it
+    async copyFilterLink() {
+      const url = location.origin + location.pathname + location.search + FilterPresets.toHash(this.filterManager.currentFilters);
+      const button = document.getElementById('amz-copy-filter-link');
+
+      try {
+        await navigator.clipboard.writeText(url);
+        const label = button.textContent;
+        button.textContent = '✅ Link copied';
+        setTimeout(() => { button.textContent = label; }, 2000);
+      } catch (error) {
+        prompt('Copy this link:', url);
+      }
+    }
+
+    // Download every row that was never downloaded, restricted by the auto-sync options
+    async runAutoSync() {
+      if (!this.settings.autoSync || this.isDownloading) return;
+
+      const rows = this.dataManager.allRows.filter(data =>
+        this.dataManager.getDownloadStatus(data.invoiceId) === 'pending' && this.matchesAutoSync(data)
+      );
+      if (rows.length === 0) {
+        console.log('🔄 Auto-sync: no new documents');
+        return;
+      }
+
+      console.log(`🔄 Auto-sync: downloading ${rows.length} new ${this.dataManager.describeKinds(rows, rows.length)}`);
+      const mode = document.getElementById('amz-download-mode').value;
+      const { successCount, failureCount } = await this.runDownloadQueue(rows, mode, { silent: true });
+
+      // The background script shows the count on the extension icon
+      chrome.runtime.sendMessage({
+        action: 'auto_sync_complete',
+        downloaded: successCount,
+        failed: failureCount
+      }).catch(error => console.warn('Auto-sync: could not update badge', error.message));
+    }
+
+    matchesAutoSync(data) {
+      const marketplaces = ExtensionSettings.parseList(this.settings.autoSyncMarketplaces)
+        .map(ExtensionSettings.marketplaceCode);
+      const invoiceTypes = ExtensionSettings.parseList(this.settings.autoSyncInvoiceTypes);
+
+      if (marketplaces.length > 0 && !marketplaces.includes(data.marketplace)) return false;
+      if (invoiceTypes.length > 0 && !invoiceTypes.some(type => data.invoiceType.toLowerCase().includes(type))) return false;
+      return true;
+    }
+
+    // Settings live in sync storage and are edited on the options page
+    async loadSettings() {
+      this.settings = await ExtensionSettings.load();
+      this.applySettings();
+
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync') return;
+
+        const updated = { ...this.settings };
+        for (let [key, change] of Object.entries(changes)) {
+          if (key in ExtensionSettings.SCHEMA) {
+            updated[key] = change.newValue;
+          }
+        }
+        this.settings = ExtensionSettings.normalize(updated);
+        this.applySettings();
+
+        // Virtual scroll thresholds may have changed
+        if (this.dataManager.isInitialized) {
+          this.tableView.render();
+        }
+        console.log('Amazon Invoice Downloader: Settings updated', this.settings);
+      });
+    }
+
+    applySettings() {
+      ExtensionSettings.applyToConfig(CONFIG, this.settings);
+      this.downloadManager.filenameTemplate = this.settings.filenameTemplate;
+    }
+
+    // Give the options page a real row to preview filename templates against
+    saveSampleRow() {
+      const sample = this.dataManager.allRows[0];
+      if (!sample) return;
+
+      chrome.storage.local.set({ [CONFIG.SAMPLE_ROW_KEY]: this.dataManager.serializeRow(sample) });
+    }
+
+    // Remember this marketplace's invoice page for the background check (see background.js)
+    saveListingUrl() {
+      chrome.storage.local.set({ [CONFIG.LISTING_URL_KEY]: location.origin + CONFIG.LISTING_PATHS.invoice });
     }
 
     showLoadingIndicator() {
@@ -557,7 +1636,7 @@
         <div style="position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); 
                     background: white; padding: 20px; border: 2px solid #ff9900; border-radius: 8px; z-index: 10000;">
           <div class="amz-loading-spinner"></div>
-          <div>Loading invoice data...</div>
+          <div>Loading ${DOCUMENT_KINDS[this.dataManager.pageDocumentKind].singular} data...</div>
           <div style="margin-top: 10px; font-size: 12px; color: #666;">
             Optimizing for ${document.querySelectorAll('table.fba-core-data tbody tr').length} rows
           </div>
@@ -574,11 +1653,14 @@
     }
 
     injectEnhancedToolbar(table) {
+      const pageKind = this.dataManager.pageDocumentKind;
+      const otherKind = this.getOtherDocumentKind();
       const toolbar = document.createElement('div');
       toolbar.className = 'amz-invoice-toolbar';
+      this.toolbar = toolbar;
       toolbar.innerHTML = `
         <div class="amz-toolbar-section">
-          <h3>📥 Bulk Invoice Downloader (No Tab Opening)</h3>
+          <h3>📥 Bulk ${pageKind === 'credit-note' ? 'Credit Note' : 'Invoice'} Downloader (No Tab Opening)</h3>
           <div class="amz-stats">
             Total: <span id="amz-total-count">${this.dataManager.allRows.length}</span> | 
             Visible: <span id="amz-visible-count">${this.dataManager.filteredRows.length}</span> | 
@@ -609,35 +1691,116 @@
               <option value="failed">Failed Only</option>
             </select>
           </label>
+
+          <label class="amz-filter-label">
+            🧾 Document:
+            <select id="amz-kind-filter" class="amz-filter-input">
+              <option value="">Invoices &amp; Credit Notes</option>
+              <option value="invoice">Invoices Only</option>
+              <option value="credit-note">Credit Notes Only</option>
+            </select>
+          </label>
+          
+          <label class="amz-checkbox-label">
+            <input type="checkbox" id="amz-dim-filtered" class="amz-checkbox">
+            <span>Dim instead of hide</span>
+          </label>
+
+          <label class="amz-filter-label">
+            🗂️ Group by:
+            <select id="amz-group-by" class="amz-filter-input amz-download-mode">
+              <option value="">No grouping</option>
+              ${Object.entries(GROUPINGS).map(([groupBy, grouping]) => `<option value="${groupBy}">${grouping.label}</option>`).join('')}
+            </select>
+          </label>
           
-          <button id="amz-quick-6months" class="amz-btn amz-btn-secondary">Last 6 Months</button>
+          <label class="amz-filter-label">
+            ⏱️ Quick Range:
+            <select id="amz-range-filter" class="amz-filter-input">
+              <option value="">Custom dates</option>
+              ${Object.entries(FilterPresets.RANGES).map(([range, label]) => `<option value="${range}">${label}</option>`).join('')}
+            </select>
+          </label>
+
           <button id="amz-clear-filters" class="amz-btn amz-btn-secondary">Clear Filters</button>
         </div>
-        
+
+        <div class="amz-toolbar-section">
+          <label class="amz-filter-label">
+            ⭐ Presets:
+            <select id="amz-preset-select" class="amz-filter-input">
+              <option value="">Saved filters...</option>
+            </select>
+          </label>
+          <button id="amz-save-preset" class="amz-btn amz-btn-secondary">Save Filters as Preset</button>
+          <button id="amz-delete-preset" class="amz-btn amz-btn-secondary" disabled>Delete Preset</button>
+          <button id="amz-copy-filter-link" class="amz-btn amz-btn-secondary">🔗 Copy Link to These Filters</button>
+        </div>
+
+        <div class="amz-toolbar-section">
+          <label class="amz-filter-label">
+            🔎 Search:
+            <input type="search" id="amz-search-filter" class="amz-filter-input" placeholder="Invoice number, supplier, VAT number...">
+          </label>
+          <div id="amz-multi-filters" class="amz-multi-filters"></div>
+        </div>
+
         <div class="amz-toolbar-section">
           <label class="amz-checkbox-label">
             <input type="checkbox" id="amz-select-all" class="amz-checkbox">
             <span>Select All Visible</span>
           </label>
 
+          <button id="amz-load-other-listing" class="amz-btn amz-btn-secondary">
+            ➕ Add ${DOCUMENT_KINDS[otherKind].tab}
+          </button>
+
           <button id="amz-select-pending" class="amz-btn amz-btn-secondary">Select Pending</button>
           <button id="amz-select-failed" class="amz-btn amz-btn-secondary">Select Failed</button>
           
+          <label class="amz-filter-label">
+            📦 Save as:
+            <select id="amz-download-mode" class="amz-filter-input amz-download-mode">
+              <option value="files">Individual PDFs</option>
+              <option value="zip">Single ZIP archive</option>
+              <option value="zip-monthly">One ZIP per month</option>
+            </select>
+          </label>
+
           <button id="amz-download-selected" class="amz-btn amz-btn-primary" disabled>
             Download Selected (<span id="amz-selected-count-btn">0</span>)
           </button>
           
+          <label class="amz-filter-label">
+            📤 Export:
+            <select id="amz-export-format" class="amz-filter-input amz-download-mode">
+              <option value="csv">CSV</option>
+              <option value="xlsx">Excel (XLSX)</option>
+            </select>
+          </label>
+
+          <button id="amz-export-list" class="amz-btn amz-btn-secondary">Export List</button>
+
           <button id="amz-clear-history" class="amz-btn amz-btn-warning">
             Clear Download History
           </button>
         </div>
         
+        <div id="amz-resume-banner" class="amz-resume-banner" style="display: none;">
+          <span id="amz-resume-text"></span>
+          <button id="amz-resume-queue" class="amz-btn amz-btn-primary">Resume</button>
+          <button id="amz-discard-queue" class="amz-btn amz-btn-secondary">Discard</button>
+        </div>
+        
+        <div id="amz-totals-summary" class="amz-totals-summary" style="display: none;"></div>
+        
         <div id="amz-progress-container" class="amz-progress-container" style="display: none;">
           <div class="amz-progress-bar">
             <div id="amz-progress-fill" class="amz-progress-fill"></div>
           </div>
           <div id="amz-progress-text" class="amz-progress-text">Processing 0 / 0...</div>
           <div id="amz-download-details" class="amz-download-details"></div>
+          <button id="amz-pause-download" class="amz-btn amz-btn-secondary">Pause</button>
           <button id="amz-cancel-download" class="amz-btn amz-btn-danger">Cancel</button>
         </div>
       `;
@@ -645,6 +1808,231 @@
       table.parentElement.insertBefore(toolbar, table);
     }
 
+    // Header checkbox plus a checkbox cell at the start of every row
+    injectSelectionColumn(table) {
+      const headerRow = table.querySelector('thead tr');
+      if (headerRow && !headerRow.querySelector('.amz-select-cell')) {
+        const th = document.createElement('th');
+        th.className = 'amz-select-cell';
+        th.innerHTML = '<input type="checkbox" id="amz-header-checkbox" class="amz-checkbox" title="Select all visible">';
+        headerRow.insertBefore(th, headerRow.firstChild);
+      }
+
+      this.dataManager.allRows.forEach(data => {
+        if (data.element.querySelector('.amz-select-cell')) return;
+
+        const cell = document.createElement('td');
+        cell.className = 'amz-select-cell';
+        cell.innerHTML = '<input type="checkbox" class="amz-checkbox amz-row-checkbox">';
+        data.element.insertBefore(cell, data.element.firstChild);
+      });
+    }
+
+    // Make the parsed columns' headers click-to-sort and give our status column a header of its own
+    injectSortHeaders(table) {
+      const headerRow = table.querySelector('thead tr');
+      if (!headerRow) return;
+
+      const headers = InvoiceParser.getDataCells(headerRow);
+      for (let [field, columnIndex] of Object.entries(InvoiceParser.buildColumnMap(table))) {
+        if (field in SORT_COLUMNS && headers[columnIndex]) {
+          headers[columnIndex].dataset.amzSort = field;
+          headers[columnIndex].classList.add('amz-sortable');
+        }
+      }
+
+      if (!headerRow.querySelector('.amz-status-cell')) {
+        const th = document.createElement('th');
+        th.className = 'amz-status-cell amz-sortable';
+        th.dataset.amzSort = 'status';
+        th.textContent = 'Download Status';
+        headerRow.appendChild(th);
+      }
+      this.updateSortHeaders();
+    }
+
+    updateSortHeaders() {
+      const { sortKey, ascending } = this.dataManager.order;
+      this.table?.querySelectorAll('th[data-amz-sort]').forEach(th => {
+        th.classList.toggle('amz-sorted-asc', th.dataset.amzSort === sortKey && ascending);
+        th.classList.toggle('amz-sorted-desc', th.dataset.amzSort === sortKey && !ascending);
+        th.title = 'Click to sort';
+      });
+    }
+
+    // Clicking a header sorts ascending, then descending, then back to Amazon's order
+    sortBy(sortKey) {
+      const order = this.dataManager.order;
+      if (order.sortKey !== sortKey) {
+        this.dataManager.setOrder({ sortKey, ascending: true });
+      } else if (order.ascending) {
+        this.dataManager.setOrder({ ascending: false });
+      } else {
+        this.dataManager.setOrder({ sortKey: '', ascending: true });
+      }
+      this.updateSortHeaders();
+      this.filterManager.applyFilters();
+    }
+
+    getOtherDocumentKind() {
+      return this.dataManager.pageDocumentKind === 'credit-note' ? 'invoice' : 'credit-note';
+    }
+
+    // Pull the other tab's listing (invoices <-> credit notes) into this table so both
+    // can be filtered, selected and downloaded in one run
+    async loadOtherListing() {
+      const kind = this.getOtherDocumentKind();
+      const button = document.getElementById('amz-load-other-listing');
+      const label = button.textContent;
+      button.disabled = true;
+      button.textContent = `Loading ${DOCUMENT_KINDS[kind].plural}...`;
+
+      try {
+        const doc = await this.listingLoader.fetchDocument(CONFIG.LISTING_PATHS[kind]);
+        const added = this.dataManager.addRowsFromDocument(doc, kind);
+        this.importRows(added);
+        this.refreshFilterOptions();
+        this.filterManager.applyFilters();
+
+        button.textContent = `✅ ${added.length} ${DOCUMENT_KINDS[kind].plural} added`;
+        console.log(`Added ${added.length} ${DOCUMENT_KINDS[kind].plural} from ${CONFIG.LISTING_PATHS[kind]}`);
+      } catch (error) {
+        button.disabled = false;
+        button.textContent = label;
+        alert(`Could not load ${DOCUMENT_KINDS[kind].plural}: ${error.message}`);
+      }
+    }
+
+    // Show the filter state in the toolbar controls after it was replaced as a whole
+    renderFilterControls() {
+      const filters = this.filterManager.currentFilters;
+      document.getElementById('amz-marketplace-filter').value = filters.marketplace;
+      document.getElementById('amz-date-from').value = filters.dateFrom;
+      document.getElementById('amz-date-to').value = filters.dateTo;
+      document.getElementById('amz-status-filter').value = filters.status;
+      document.getElementById('amz-kind-filter').value = filters.documentKind;
+      document.getElementById('amz-range-filter').value = filters.range;
+      document.getElementById('amz-search-filter').value = filters.search;
+      this.refreshFilterOptions();
+    }
+
+    // Rebuild the multi-select dropdowns from the values in the loaded rows, with row counts.
+    // Selected values stay listed even when no loaded row has them any more.
+    refreshFilterOptions() {
+      const container = document.getElementById('amz-multi-filters');
+      if (!container) return;
+
+      for (let filter of MULTI_FILTERS) {
+        const selected = this.filterManager.currentFilters[filter.key];
+        const counts = new Map(selected.map(value => [value, 0]));
+        this.dataManager.allRows.forEach(data => {
+          const value = filter.value(data);
+          if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        });
+
+        let dropdown = container.querySelector(`[data-filter="${filter.key}"]`);
+        if (!dropdown) {
+          dropdown = document.createElement('details');
+          dropdown.className = 'amz-multi-filter';
+          dropdown.dataset.filter = filter.key;
+          dropdown.innerHTML = `<summary></summary><div class="amz-multi-filter-options"></div>`;
+          container.appendChild(dropdown);
+        }
+
+        const options = dropdown.querySelector('.amz-multi-filter-options');
+        options.innerHTML = '';
+        [...counts.keys()]
+          .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+          .forEach(value => {
+            const label = document.createElement('label');
+            label.className = 'amz-checkbox-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'amz-checkbox';
+            checkbox.value = value;
+            checkbox.checked = selected.includes(value);
+            label.append(checkbox, ` ${value} (${counts.get(value)})`);
+            options.appendChild(label);
+          });
+
+        // Columns Amazon doesn't show on this page have nothing to choose from
+        dropdown.style.display = counts.size > 0 ? '' : 'none';
+        this.updateMultiFilterSummary(dropdown);
+      }
+    }
+
+    updateMultiFilterSummary(dropdown) {
+      const filter = MULTI_FILTERS.find(f => f.key === dropdown.dataset.filter);
+      const count = dropdown.querySelectorAll('input:checked').length;
+      dropdown.querySelector('summary').textContent = count > 0 ? `${filter.label} (${count})` : `${filter.label}: All`;
+      dropdown.classList.toggle('amz-multi-filter-active', count > 0);
+    }
+
+    // Move rows parsed from a fetched document into the live table
+    importRows(rows) {
+      rows.forEach(data => {
+        const imported = document.importNode(data.element, true);
+        imported.classList.add('amz-imported-row');
+        imported.dataset.amzDocumentKind = data.documentKind;
+        data.element = imported;
+        data.isImported = true;
+        this.dataManager.rowsByElement.set(imported, data);
+      });
+
+      this.tableView.appendRows(rows.map(data => data.element));
+      this.injectSelectionColumn(this.table);
+    }
+
+    handleRowCheckboxClick(checkbox, shiftKey) {
+      const data = this.dataManager.rowsByElement.get(checkbox.closest('tr'));
+      if (!data) return;
+
+      const selected = checkbox.checked;
+      // Positions are resolved per click: filters, sorting and grouping change the list in between
+      const position = this.dataManager.filteredRows.indexOf(data);
+      const anchorPosition = this.dataManager.filteredRows.indexOf(this.lastSelectedRow);
+
+      if (shiftKey && position !== -1 && anchorPosition !== -1) {
+        // Apply the clicked state to every filtered row between the anchor and this one
+        this.dataManager.selectRange(anchorPosition, position, selected);
+      } else {
+        data.isSelected = selected;
+      }
+
+      if (position !== -1) {
+        this.lastSelectedRow = data;
+      }
+
+      this.updateDisplay();
+    }
+
+    // Delegated on the table so re-rendered rows and headers need no listeners of their own;
+    // click (not change) carries shiftKey
+    attachTableListeners(table) {
+      table.addEventListener('click', (e) => {
+        if (e.target.classList.contains('amz-row-checkbox')) {
+          this.handleRowCheckboxClick(e.target, e.shiftKey);
+          return;
+        }
+
+        const header = e.target.closest('th[data-amz-sort]');
+        if (header && !e.target.closest('a, button, input, select')) {
+          this.sortBy(header.dataset.amzSort);
+        }
+      });
+
+      table.addEventListener('change', (e) => {
+        if (e.target.id === 'amz-header-checkbox') {
+          this.dataManager.selectAllVisible(e.target.checked);
+          this.updateDisplay();
+        } else if (e.target.classList.contains('amz-group-checkbox')) {
+          const key = e.target.closest('.amz-group-row').dataset.group;
+          this.tableView.getGroupRows(key).forEach(data => { data.isSelected = e.target.checked; });
+          this.updateDisplay();
+        }
+      });
+    }
+
     attachEventListeners() {
       // Filter listeners
       document.getElementById('amz-marketplace-filter').addEventListener('input', (e) => {
@@ -653,35 +2041,88 @@
 
       document.getElementById('amz-date-from').addEventListener('change', (e) => {
         this.filterManager.updateFilter('dateFrom', e.target.value);
+        document.getElementById('amz-range-filter').value = '';
       });
 
       document.getElementById('amz-date-to').addEventListener('change', (e) => {
         this.filterManager.updateFilter('dateTo', e.target.value);
+        document.getElementById('amz-range-filter').value = '';
       });
 
       document.getElementById('amz-status-filter').addEventListener('change', (e) => {
         this.filterManager.updateFilter('status', e.target.value);
       });
 
+      document.getElementById('amz-kind-filter').addEventListener('change', (e) => {
+        this.filterManager.updateFilter('documentKind', e.target.value);
+      });
+
+      document.getElementById('amz-search-filter').addEventListener('input', (e) => {
+        this.filterManager.updateFilter('search', e.target.value.trim());
+      });
+
+      document.getElementById('amz-multi-filters').addEventListener('change', (e) => {
+        const dropdown = e.target.closest('[data-filter]');
+        const values = Array.from(dropdown.querySelectorAll('input:checked'), input => input.value);
+        this.filterManager.updateFilter(dropdown.dataset.filter, values);
+        this.updateMultiFilterSummary(dropdown);
+      });
+
+      document.getElementById('amz-load-other-listing').addEventListener('click', () => {
+        this.loadOtherListing();
+      });
+
+      document.getElementById('amz-dim-filtered').addEventListener('change', (e) => {
+        this.tableView.setDimNonMatching(e.target.checked);
+        this.updateTableStatus();
+      });
+
+      document.getElementById('amz-group-by').addEventListener('change', (e) => {
+        this.dataManager.setOrder({ groupBy: e.target.value });
+        this.filterManager.applyFilters();
+      });
+
       // Quick filters
-      document.getElementById('amz-quick-6months').addEventListener('click', () => {
-        const today = new Date();
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(today.getMonth() - 6);
-        
-        document.getElementById('amz-date-from').value = sixMonthsAgo.toISOString().split('T')[0];
-        document.getElementById('amz-date-to').value = today.toISOString().split('T')[0];
-        
-        this.filterManager.updateFilter('dateFrom', document.getElementById('amz-date-from').value);
-        this.filterManager.updateFilter('dateTo', document.getElementById('amz-date-to').value);
+      document.getElementById('amz-range-filter').addEventListener('change', (e) => {
+        this.filterManager.setFilters({ ...this.filterManager.currentFilters, range: e.target.value });
+        this.renderFilterControls();
       });
 
       document.getElementById('amz-clear-filters').addEventListener('click', () => {
-        document.getElementById('amz-marketplace-filter').value = '';
-        document.getElementById('amz-date-from').value = '';
-        document.getElementById('amz-date-to').value = '';
-        document.getElementById('amz-status-filter').value = '';
         this.filterManager.clearFilters();
+        this.renderFilterControls();
+        document.getElementById('amz-preset-select').value = '';
+        document.getElementById('amz-delete-preset').disabled = true;
+      });
+
+      // Filter presets and links
+      document.getElementById('amz-preset-select').addEventListener('change', (e) => {
+        document.getElementById('amz-delete-preset').disabled = !e.target.value;
+        if (e.target.value) {
+          this.filterManager.setFilters(this.presets[e.target.value]);
+          this.renderFilterControls();
+        }
+      });
+
+      document.getElementById('amz-save-preset').addEventListener('click', () => {
+        this.savePreset();
+      });
+
+      document.getElementById('amz-delete-preset').addEventListener('click', () => {
+        this.deletePreset();
+      });
+
+      document.getElementById('amz-copy-filter-link').addEventListener('click', () => {
+        this.copyFilterLink();
+      });
+
+      // Opening a filter link in a tab that is already on the page only changes the hash
+      window.addEventListener('hashchange', () => {
+        const linked = FilterPresets.fromHash(location.hash, FilterManager.emptyFilters());
+        if (linked) {
+          this.filterManager.setFilters(linked);
+          this.renderFilterControls();
+        }
       });
 
       // Selection listeners
@@ -705,24 +2146,96 @@
         this.startDirectDownload();
       });
 
+      // Export the filtered list as a spreadsheet
+      document.getElementById('amz-export-list').addEventListener('click', () => {
+        this.exportList(document.getElementById('amz-export-format').value);
+      });
+
       // Clear history
       document.getElementById('amz-clear-history').addEventListener('click', () => {
-        if (confirm('Clear download history? This will remove all download status.')) {
+        const account = this.dataManager.account ? ` for ${this.dataManager.account}` : '';
+        if (confirm(`Clear download history${account}? This will remove all download status.`)) {
           this.dataManager.clearDownloadHistory();
           this.updateDisplay();
         }
       });
 
-      // Cancel download
+      // Pause / resume and cancel download
+      document.getElementById('amz-pause-download').addEventListener('click', () => {
+        this.togglePause();
+      });
+
       document.getElementById('amz-cancel-download').addEventListener('click', () => {
         this.cancelDownload();
       });
+
+      // Resume a queue left over from a previous page load
+      document.getElementById('amz-resume-queue').addEventListener('click', () => {
+        this.resumeSavedQueue();
+      });
+
+      document.getElementById('amz-discard-queue').addEventListener('click', () => {
+        chrome.storage.local.remove(this.queueKey());
+        this.hideResumeBanner();
+      });
     }
 
     updateDisplay() {
       this.updateCounts();
       this.updateSelectionCount();
+      this.tableView.render();
       this.updateTableStatus();
+      this.updateTotals();
+    }
+
+    // Net / VAT / gross per marketplace and currency for the rows matching the filters whose
+    // amounts were read from their PDFs; credit notes are subtracted
+    updateTotals() {
+      const container = document.getElementById('amz-totals-summary');
+      const totals = new Map();
+
+      for (let data of this.dataManager.filteredRows) {
+        const amounts = this.dataManager.downloadStatus.get(data.invoiceId)?.amounts;
+        if (!amounts) continue;
+
+        const key = `${data.marketplace}|${amounts.currency}`;
+        if (!totals.has(key)) {
+          totals.set(key, { marketplace: data.marketplace, currency: amounts.currency, count: 0, net: 0, vat: 0, gross: 0 });
+        }
+        const total = totals.get(key);
+        const sign = data.documentKind === 'credit-note' ? -1 : 1;
+        total.count++;
+        total.net += sign * Math.abs(amounts.net || 0);
+        total.vat += sign * Math.abs(amounts.vat || 0);
+        total.gross += sign * Math.abs(amounts.gross || 0);
+      }
+
+      if (totals.size === 0) {
+        container.style.display = 'none';
+        return;
+      }
+
+      const format = (value) => value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+      const table = document.createElement('table');
+      table.className = 'amz-totals-table';
+      table.innerHTML = `
+        <thead>
+          <tr><th>Marketplace</th><th>Documents</th><th>Net</th><th>VAT</th><th>Gross</th><th>Currency</th></tr>
+        </thead>
+        <tbody></tbody>
+      `;
+
+      const sorted = [...totals.values()].sort((a, b) =>
+        a.marketplace.localeCompare(b.marketplace) || a.currency.localeCompare(b.currency));
+      for (let total of sorted) {
+        const row = table.tBodies[0].insertRow();
+        [total.marketplace, total.count, format(total.net), format(total.vat), format(total.gross), total.currency || '?']
+          .forEach(value => { row.insertCell().textContent = value; });
+      }
+
+      container.innerHTML = '<div class="amz-totals-title">💶 Totals of visible documents (read from PDFs)</div>';
+      container.appendChild(table);
+      container.style.display = 'block';
     }
 
     updateCounts() {
@@ -731,6 +2244,8 @@
     }
 
     updateSelectionCount() {
+      this.updateSelectAllCheckboxes();
+
       const count = this.dataManager.getSelectedCount();
       const pendingCount = this.dataManager.getSelectedByStatus('pending');
       const downloadedCount = this.dataManager.getSelectedByStatus('downloaded');
@@ -742,15 +2257,28 @@
       document.getElementById('amz-download-selected').disabled = pendingCount === 0 && failedCount === 0;
     }
 
+    // Reflect the filtered selection in the toolbar and header checkboxes (checked / indeterminate)
+    updateSelectAllCheckboxes() {
+      const state = this.dataManager.getSelectionState();
+      ['amz-select-all', 'amz-header-checkbox'].forEach(id => {
+        const checkbox = document.getElementById(id);
+        if (!checkbox) return;
+        checkbox.checked = state === 'all';
+        checkbox.indeterminate = state === 'some';
+      });
+    }
+
     updateTableStatus() {
       // Update table rows with current status
-      const tbody = document.querySelector('table.fba-core-data tbody');
-      if (!tbody) return;
+      this.dataManager.allRows.forEach(data => {
+        const row = data.element;
 
-      const rows = tbody.querySelectorAll('tr');
-      rows.forEach((row, index) => {
-        const data = this.dataManager.allRows[index];
-        if (!data) return;
+        const checkbox = row.querySelector('.amz-row-checkbox');
+        if (checkbox) {
+          checkbox.checked = data.isSelected;
+          checkbox.disabled = !data.isVisible; // Dimmed rows are outside the filter
+        }
+        row.classList.toggle('amz-selected-row', data.isSelected);
 
         let statusCell = row.querySelector('.amz-status-cell');
         if (!statusCell) {
@@ -767,12 +2295,16 @@
         switch (status) {
           case 'downloaded':
             statusHtml = '<span class="amz-status-downloaded">✅ Downloaded</span>';
+            if (statusInfo?.reissued) {
+              statusHtml += ' <span class="amz-reissued-badge" title="Amazon served a different PDF than for an earlier download">⚠️ Reissued</span>';
+            }
             row.classList.add('amz-downloaded-row');
             row.classList.remove('amz-failed-row');
             break;
           case 'failed':
             const attempts = statusInfo?.attempts || 0;
-            statusHtml = `<span class="amz-status-failed">❌ Failed (${attempts}/${CONFIG.RETRY_ATTEMPTS})</span>`;
+            const detail = statusInfo?.permanent ? 'not retryable' : `${attempts}/${CONFIG.RETRY_ATTEMPTS}`;
+            statusHtml = `<span class="amz-status-failed">❌ Failed (${detail})</span>`;
             row.classList.add('amz-failed-row');
             row.classList.remove('amz-downloaded-row');
             break;
@@ -781,10 +2313,57 @@
             row.classList.remove('amz-downloaded-row', 'amz-failed-row');
         }
         
+        if (data.documentKind === 'credit-note') {
+          statusHtml = '<span class="amz-kind-badge">Credit note</span> ' + statusHtml;
+        }
+        
         statusCell.innerHTML = statusHtml;
       });
     }
 
+    // Write the rows matching the active filters, with their download status, to CSV or XLSX
+    async exportList(format) {
+      const rows = this.dataManager.filteredRows.map(data => {
+        const status = this.dataManager.getDownloadStatus(data.invoiceId);
+        const record = this.dataManager.downloadStatus.get(data.invoiceId);
+        return {
+          ...data,
+          status,
+          amounts: record?.amounts,
+          downloadedAt: status === 'downloaded' && record?.timestamp ? this.formatTimestamp(record.timestamp) : ''
+        };
+      });
+
+      if (rows.length === 0) {
+        alert('There are no rows matching the current filters to export.');
+        return;
+      }
+
+      const button = document.getElementById('amz-export-list');
+      button.disabled = true;
+      try {
+        const blob = format === 'xlsx'
+          ? await ListExport.toXlsx(EXPORT_COLUMNS, rows)
+          : ListExport.toCsv(EXPORT_COLUMNS, rows);
+        const filename = this.downloadManager.generateArchiveName(this.filterManager.currentFilters, rows, format);
+        await this.downloadManager.downloadBlob(blob, filename);
+        console.log(`✅ Exported ${rows.length} rows to ${filename}`);
+      } catch (error) {
+        console.error('❌ Export failed:', error);
+        alert(`Export failed: ${error.message}`);
+      } finally {
+        button.disabled = false;
+      }
+    }
+
+    // Local "YYYY-MM-DD HH:MM", which spreadsheets recognise as a date and time
+    formatTimestamp(timestamp) {
+      const date = new Date(timestamp);
+      const pad = (value) => String(value).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
     // Direct download without tab opening
     async startDirectDownload() {
       if (this.isDownloading) return;
@@ -795,59 +2374,341 @@
       });
       
       if (selectedRows.length === 0) {
-        alert('Please select at least one pending or failed invoice to download.');
+        alert(`Please select at least one pending or failed ${this.dataManager.describeKinds(this.dataManager.allRows, 1)} to download.`);
         return;
       }
 
+      const mode = document.getElementById('amz-download-mode').value;
+      await this.runDownloadQueue(selectedRows, mode);
+    }
+
+    // Download a list of invoices with the worker pool; the queue is persisted as it drains
+    // Returns the final counts; silent runs (auto-sync) log instead of showing an alert
+    async runDownloadQueue(rows, mode, { silent = false } = {}) {
       this.isDownloading = true;
-      this.downloadQueue = selectedRows;
+      this.isPaused = false;
+      this.downloadQueue = [...rows];
       this.currentDownloadIndex = 0;
+      this.queueMode = mode;
+      this.remainingInvoiceIds = new Set(rows.map(data => data.invoiceId));
+      this.hideResumeBanner();
+      this.persistQueue();
+
+      const archiveEntries = [];
+      const throttle = new AdaptiveThrottle(CONFIG.CONCURRENCY, CONFIG.DELAY_BETWEEN_DOWNLOADS);
+      const pending = [...this.downloadQueue];
+      const counts = { success: 0, failure: 0, alreadySaved: 0, matchedBySize: 0, reissued: [] };
+      this.downloadManager.cancelled = false;
+      this.sessionExpired = false;
+      this.progress = { completed: 0, total: this.downloadQueue.length, startedAt: Date.now(), throttle };
 
       // Show progress
       this.showProgress();
 
-      let successCount = 0;
-      let failureCount = 0;
+      // Each worker takes the next queued invoice, pausing between its own downloads
+      const worker = async () => {
+        while (this.isDownloading && !this.sessionExpired && pending.length > 0) {
+          while (this.isPaused && this.isDownloading && !this.sessionExpired) {
+            await this.sleep(250);
+          }
+          if (!await throttle.acquire(() => !this.isDownloading || this.isPaused || this.sessionExpired)) continue;
 
-      for (let i = 0; i < this.downloadQueue.length && this.isDownloading; i++) {
-        this.currentDownloadIndex = i;
-        const invoiceData = this.downloadQueue[i];
-        
-        this.updateProgress(i + 1, this.downloadQueue.length, invoiceData.invoiceId);
+          const invoiceData = pending.shift();
+          if (!invoiceData) {
+            throttle.release();
+            break;
+          }
 
-        try {
-          const result = await this.downloadManager.downloadPdfDirect(invoiceData);
+          try {
+            await this.processQueueItem(invoiceData, mode, throttle, archiveEntries, counts);
+          } finally {
+            throttle.release();
+          }
+
+          if (pending.length > 0 && this.isDownloading && !this.sessionExpired) {
+            await this.sleep(throttle.delay);
+          }
+        }
+      };
+
+      await Promise.all(Array.from({ length: CONFIG.CONCURRENCY }, worker));
+
+      let successCount = counts.success;
+      let failureCount = counts.failure;
+
+      // Archives are written even after a cancel so already fetched PDFs are not lost
+      if (archiveEntries.length > 0) {
+        const archived = await this.saveArchives(archiveEntries, mode, counts);
+        successCount += archived;
+        failureCount += archiveEntries.length - archived;
+        this.updateDisplay();
+      }
+
+      // After a session timeout the rest of the queue stays saved for resuming once signed in again;
+      // otherwise anything still remaining was cancelled - a finished or cancelled run leaves nothing to resume
+      const remaining = this.remainingInvoiceIds.size;
+      if (!this.sessionExpired) {
+        chrome.storage.local.remove(this.queueKey());
+      }
+      this.remainingInvoiceIds.clear();
+
+      this.hideProgress();
+      this.isDownloading = false;
+
+      // Show completion message
+      const heading = this.sessionExpired ? 'Download stopped - your Seller Central session has expired.' : 'Download completed!';
+      let message = `${heading}\n✅ Success: ${successCount}\n❌ Failed: ${failureCount}`;
+      if (this.sessionExpired) {
+        message += `\n⏸ Remaining: ${remaining} - sign in again, then click "Resume" (or reload this page) to continue`;
+        this.offerSavedQueue();
+      }
+      if (counts.alreadySaved > 0) {
+        message += `\n📁 Already on disk (not saved again): ${counts.alreadySaved}`;
+      }
+      if (counts.matchedBySize > 0) {
+        message += `\n🔍 Not saved again - a file with the same name and size is on disk, ` +
+          `but its content was not compared: ${counts.matchedBySize}`;
+      }
+      if (counts.reissued.length > 0) {
+        message += `\n⚠️ Reissued by Amazon (content changed): ${counts.reissued.join(', ')}`;
+      }
+      if (silent) {
+        console.log(message);
+      } else {
+        alert(message);
+      }
+      return { successCount, failureCount };
+    }
+
+    // Download (or fetch for an archive) one invoice with retries, recording the outcome
+    async processQueueItem(invoiceData, mode, throttle, archiveEntries, counts) {
+      const onAttempt = (attempt, retryDelay) => {
+        this.updateProgress(this.progress.completed + 1, this.progress.total, invoiceData.invoiceId, attempt, retryDelay);
+      };
+
+      try {
+        if (mode === 'files') {
+          const result = await this.downloadManager.withRetry(
+            throttle.track(() => this.downloadManager.downloadPdfDirect(invoiceData)),
+            onAttempt
+          );
           
-          this.dataManager.markAsDownloaded(invoiceData.invoiceId);
-          successCount++;
+          const details = {
+            filename: result.filename,
+            ...(result.amounts && { amounts: result.amounts })
+          };
+          if (result.matchedBySize) {
+            // The file on disk was never compared, so the fetched PDF's hash is not recorded for it
+            this.dataManager.markAsDownloaded(invoiceData.invoiceId, {
+              ...details,
+              documentKind: invoiceData.documentKind,
+              unverified: true
+            });
+          } else {
+            this.markSaved(invoiceData, result.sha256, result.filename, details, counts);
+          }
+          this.completeQueueItem(invoiceData.invoiceId);
+          counts.success++;
           
-          console.log(`✅ Downloaded: ${invoiceData.invoiceId} as ${result.filename}`);
+          if (result.alreadySaved) {
+            counts.alreadySaved++;
+            console.log(`✅ Unchanged: ${invoiceData.invoiceId} is already saved as ${result.filename}`);
+          } else if (result.matchedBySize) {
+            counts.matchedBySize++;
+            console.log(`🔍 Unverified: ${invoiceData.invoiceId} matches ${result.filename} by name and size only`);
+          } else {
+            console.log(`✅ Downloaded: ${invoiceData.invoiceId} as ${result.filename}`);
+          }
+        } else {
+          // Keep the PDF in memory - it is marked downloaded once its archive is saved
+          const blob = await this.downloadManager.withRetry(
+            throttle.track(() => this.downloadManager.fetchPdfBlob(invoiceData)),
+            onAttempt
+          );
+          archiveEntries.push({
+            invoiceData,
+            blob,
+            sha256: await this.downloadManager.hashBlob(blob),
+            filename: this.downloadManager.generateFilename(invoiceData),
+            amounts: await this.downloadManager.readAmounts(blob, invoiceData)
+          });
           
+          console.log(`✅ Fetched: ${invoiceData.invoiceId} (${archiveEntries.length} queued for archive)`);
+        }
+        
+      } catch (error) {
+        if (error.cancelled) return;
+
+        // Not the invoice's fault: leave it (and everything after it) in the saved queue
+        if (error.sessionExpired) {
+          this.sessionExpired = true;
+          console.error(`❌ Stopped at ${invoiceData.invoiceId}: ${error.message}`);
+          return;
+        }
+
+        this.dataManager.markAsFailed(invoiceData.invoiceId, error.message, {
+          attempts: error.attempts || 1,
+          permanent: !DownloadError.isRetryable(error),
+          documentKind: invoiceData.documentKind
+        });
+        this.completeQueueItem(invoiceData.invoiceId);
+        counts.failure++;
+        
+        console.error(`❌ Failed: ${invoiceData.invoiceId} after ${error.attempts || 1} attempt(s) - ${error.message}`);
+      }
+
+      this.progress.completed++;
+      this.currentDownloadIndex = this.progress.completed;
+
+      // Update display
+      this.updateDisplay();
+    }
+
+    // Mark an invoice downloaded with the hash of its PDF; reissued invoices are flagged for review
+    markSaved(invoiceData, sha256, path, details, counts) {
+      const previousSha256 = this.dataManager.recordContentHash(invoiceData.invoiceId, sha256, path);
+      if (previousSha256) {
+        counts.reissued.push(invoiceData.invoiceId);
+        console.warn(`⚠️ Reissued: Amazon now serves a different PDF for ${invoiceData.invoiceId}`);
+      }
+
+      this.dataManager.markAsDownloaded(invoiceData.invoiceId, {
+        ...details,
+        documentKind: invoiceData.documentKind,
+        sha256,
+        ...(previousSha256 && { reissued: true, previousSha256 })
+      });
+    }
+
+    // Write fetched PDFs as one archive, or one archive per billing month
+    async saveArchives(entries, mode, counts) {
+      const groups = new Map();
+      for (let entry of entries) {
+        const key = mode === 'zip-monthly' ? entry.invoiceData.endDate.slice(0, 7) : 'all';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+      }
+
+      let archivedCount = 0;
+      for (let groupEntries of groups.values()) {
+        const rows = groupEntries.map(entry => entry.invoiceData);
+        // Monthly archives are named after their own month rather than the date filter
+        const filters = mode === 'zip-monthly'
+          ? { ...this.filterManager.currentFilters, dateFrom: '', dateTo: '' }
+          : this.filterManager.currentFilters;
+        const archiveName = this.downloadManager.generateArchiveName(filters, rows);
+
+        document.getElementById('amz-progress-text').textContent =
+          `Creating ${archiveName} (${groupEntries.length} ${this.dataManager.describeKinds(rows, groupEntries.length)})...`;
+
+        try {
+          const result = await this.downloadManager.downloadArchive(groupEntries, archiveName);
+          groupEntries.forEach(entry => {
+            this.markSaved(entry.invoiceData, entry.sha256, result.filename, {
+              filename: entry.filename,
+              archive: result.filename,
+              ...(entry.amounts && { amounts: entry.amounts })
+            }, counts);
+            this.completeQueueItem(entry.invoiceData.invoiceId);
+          });
+          archivedCount += groupEntries.length;
+          console.log(`✅ Archived ${groupEntries.length} ${this.dataManager.describeKinds(rows)} as ${archiveName}`);
         } catch (error) {
-          this.dataManager.markAsFailed(invoiceData.invoiceId, error.message);
-          failureCount++;
-          
-          console.error(`❌ Failed: ${invoiceData.invoiceId} - ${error.message}`);
+          rows.forEach(data => this.dataManager.markAsFailed(data.invoiceId, error.message, {
+            documentKind: data.documentKind
+          }));
+          console.error(`❌ Failed to create ${archiveName} - ${error.message}`);
         }
+      }
 
-        // Update display
-        this.updateDisplay();
+      return archivedCount;
+    }
+
+    // Each seller account has its own queue, like its own history
+    queueKey() {
+      return DownloadHistory.scopedKey(CONFIG.QUEUE_KEY, this.dataManager.account);
+    }
 
-        // Wait between downloads
-        if (i < this.downloadQueue.length - 1 && this.isDownloading) {
-          await this.sleep(CONFIG.DELAY_BETWEEN_DOWNLOADS);
+    // Persist what is left of the queue so a reload or session timeout can pick it up again
+    persistQueue() {
+      const items = this.downloadQueue
+        .filter(data => this.remainingInvoiceIds.has(data.invoiceId))
+        .map(data => this.dataManager.serializeRow(data));
+
+      chrome.storage.local.set({
+        [this.queueKey()]: {
+          mode: this.queueMode,
+          paused: this.isPaused,
+          savedAt: Date.now(),
+          items
         }
+      });
+    }
+
+    completeQueueItem(invoiceId) {
+      this.remainingInvoiceIds.delete(invoiceId);
+      this.persistQueue();
+    }
+
+    togglePause() {
+      if (!this.isDownloading) return;
+
+      this.isPaused = !this.isPaused;
+      this.persistQueue();
+
+      document.getElementById('amz-pause-download').textContent = this.isPaused ? 'Resume' : 'Pause';
+      if (this.isPaused) {
+        document.getElementById('amz-progress-text').textContent =
+          `Paused - ${this.remainingInvoiceIds.size} remaining (downloads in progress will finish)`;
       }
+    }
 
-      this.hideProgress();
-      this.isDownloading = false;
+    async loadSavedQueue() {
+      const result = await chrome.storage.local.get(this.queueKey());
+      const saved = result[this.queueKey()];
+      if (!saved || !Array.isArray(saved.items)) return null;
 
-      // Show completion message
-      const message = `Download completed!\n✅ Success: ${successCount}\n❌ Failed: ${failureCount}`;
-      alert(message);
+      // Drop anything that finished in the meantime (e.g. in another tab)
+      saved.items = saved.items.filter(item =>
+        item.invoiceId && this.dataManager.getDownloadStatus(item.invoiceId) !== 'downloaded'
+      );
+      return saved.items.length > 0 ? saved : null;
+    }
+
+    // Returns true when a saved queue is offered for resume
+    async offerSavedQueue() {
+      const saved = await this.loadSavedQueue();
+      if (!saved) return false;
+
+      const when = new Date(saved.savedAt).toLocaleString();
+      document.getElementById('amz-resume-text').textContent =
+        `⏸ Resume ${saved.items.length} remaining download${saved.items.length === 1 ? '' : 's'} (from ${when})`;
+      document.getElementById('amz-resume-banner').style.display = 'flex';
+      return true;
+    }
+
+    hideResumeBanner() {
+      document.getElementById('amz-resume-banner').style.display = 'none';
+    }
+
+    async resumeSavedQueue() {
+      if (this.isDownloading) return;
+
+      const saved = await this.loadSavedQueue();
+      if (!saved) {
+        this.hideResumeBanner();
+        return;
+      }
+
+      // Prefer the live row records so the table updates; fall back to the stored copy
+      const rowsById = new Map(this.dataManager.allRows.map(data => [data.invoiceId, data]));
+      const rows = saved.items.map(item => rowsById.get(item.invoiceId) || item);
+
+      await this.runDownloadQueue(rows, saved.mode || 'files');
     }
 
     showProgress() {
+      document.getElementById('amz-pause-download').textContent = 'Pause';
       document.getElementById('amz-progress-container').style.display = 'block';
       document.getElementById('amz-download-selected').disabled = true;
     }
@@ -857,23 +2718,43 @@
       document.getElementById('amz-download-selected').disabled = false;
     }
 
-    updateProgress(current, total, invoiceId) {
+    updateProgress(current, total, invoiceId, attempt = 1, retryDelay = 0) {
       const progress = (current / total) * 100;
+      const attemptText = attempt > 1 ? ` (attempt ${attempt}/${CONFIG.RETRY_ATTEMPTS})` : '';
       document.getElementById('amz-progress-fill').style.width = progress + '%';
       document.getElementById('amz-progress-text').textContent = 
-        `Processing ${current} / ${total} - ${invoiceId}`;
+        `Processing ${current} / ${total} - ${invoiceId}${attemptText}`;
       
       const details = document.getElementById('amz-download-details');
       if (details) {
-        details.textContent = `Direct download (no tabs) - Stay on this page`;
+        const throttle = this.progress?.throttle;
+        const workers = throttle ? ` - ${throttle.concurrency} parallel` : '';
+        const eta = this.estimateRemaining();
+        details.textContent = retryDelay > 0
+          ? `Temporary error - retrying in ${Math.ceil(retryDelay / 1000)}s${workers}`
+          : `Direct download (no tabs)${workers}${eta ? ` - ETA ${eta}` : ''} - Stay on this page`;
       }
     }
 
+    // Remaining time extrapolated from the average pace so far (already reflects parallelism)
+    estimateRemaining() {
+      if (!this.progress || this.progress.completed === 0) return '';
+
+      const elapsed = Date.now() - this.progress.startedAt;
+      const remaining = this.progress.total - this.progress.completed;
+      const seconds = Math.round((elapsed / this.progress.completed) * remaining / 1000);
+
+      if (seconds < 60) return `${seconds}s`;
+      const minutes = Math.floor(seconds / 60);
+      if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+      return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
     cancelDownload() {
       this.isDownloading = false;
       this.downloadManager.cancelDownload();
       this.hideProgress();
-      alert(`Download cancelled. Processed ${this.currentDownloadIndex} of ${this.downloadQueue.length} invoices.`);
+      alert(`Download cancelled. Processed ${this.currentDownloadIndex} of ${this.downloadQueue.length} ${this.dataManager.describeKinds(this.downloadQueue)}.`);
     }
 
     sleep(ms) {
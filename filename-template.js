@@ -0,0 +1,111 @@
+// Amazon Seller Fee Invoice Downloader - Filename Templates
+// Shared by the content script, background script and options page
+
+const FilenameTemplate = (() => {
+  'use strict';
+
+  const DEFAULT_TEMPLATE = '{endDate}_{invoiceNumber}_{marketplace}.pdf';
+  const MAX_SEGMENT_LENGTH = 120;
+
+  const datePart = (value, part) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+    if (!match) return '';
+    return { year: match[1], month: match[2], day: match[3] }[part];
+  };
+
+  const field = (record, name) => record[name] || (record.buttonData && record.buttonData[name]) || '';
+
+  // Token name -> description and resolver for a parsed invoice record
+  const TOKENS = {
+    invoiceNumber: { description: 'Invoice number', resolve: r => r.invoiceId || '' },
+    invoiceType: { description: 'Invoice type', resolve: r => field(r, 'invoiceType') },
+    documentKind: { description: 'Document kind (invoice or credit-note)', resolve: r => r.documentKind || 'invoice' },
+    fileType: { description: 'Invoice file type (e.g. PDF)', resolve: r => field(r, 'fileType') },
+    filterName: { description: 'Amazon filter name (e.g. AEU_FBA_B2B_E_INVOICE_PL)', resolve: r => field(r, 'filterName') },
+    marketplace: { description: 'Marketplace (e.g. de, pl)', resolve: r => r.marketplace || '' },
+    payerName: { description: 'Payer name', resolve: r => field(r, 'payerName') },
+    payerRegistration: { description: 'Payer VAT registration', resolve: r => field(r, 'payerRegistration') },
+    supplierName: { description: 'Supplier name', resolve: r => field(r, 'supplierName') },
+    supplierRegistration: {
+      description: 'Supplier VAT registration',
+      resolve: r => field(r, 'supplierRegistration') || field(r, 'payeeRegistrationNumber')
+    },
+    startDate: { description: 'Start date (YYYY-MM-DD)', resolve: r => r.startDate || '' },
+    startYYYY: { description: 'Start year', resolve: r => datePart(r.startDate, 'year') },
+    startMM: { description: 'Start month', resolve: r => datePart(r.startDate, 'month') },
+    startDD: { description: 'Start day', resolve: r => datePart(r.startDate, 'day') },
+    endDate: { description: 'End date (YYYY-MM-DD)', resolve: r => r.endDate || '' },
+    endYYYY: { description: 'End year', resolve: r => datePart(r.endDate, 'year') },
+    endMM: { description: 'End month', resolve: r => datePart(r.endDate, 'month') },
+    endDD: { description: 'End day', resolve: r => datePart(r.endDate, 'day') },
+    YYYY: { description: 'Billing year (end date)', resolve: r => datePart(r.endDate, 'year') },
+    MM: { description: 'Billing month (end date)', resolve: r => datePart(r.endDate, 'month') },
+    DD: { description: 'Billing day (end date)', resolve: r => datePart(r.endDate, 'day') },
+    quarter: {
+      description: 'Billing quarter (Q1-Q4)',
+      resolve: r => {
+        const month = datePart(r.endDate, 'month');
+        return month ? `Q${Math.ceil(Number(month) / 3)}` : '';
+      }
+    }
+  };
+
+  const TOKEN_PATTERN = /\{([^{}]*)\}/g;
+
+  // Make a single path segment safe for every OS Chrome downloads to
+  function sanitizeSegment(value) {
+    return String(value)
+      .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^\.+|\.+$/g, '')
+      .slice(0, MAX_SEGMENT_LENGTH)
+      .trim();
+  }
+
+  // Returns a list of problems; an empty list means the template is usable
+  function validate(template) {
+    const errors = [];
+    if (!template || !template.trim()) {
+      errors.push('Template must not be empty');
+      return errors;
+    }
+
+    const withoutTokens = template.replace(TOKEN_PATTERN, '');
+    if (/[{}]/.test(withoutTokens)) {
+      errors.push('Unbalanced { } braces');
+    }
+
+    for (let match of template.matchAll(TOKEN_PATTERN)) {
+      if (!TOKENS[match[1]]) {
+        errors.push(`Unknown token {${match[1]}}`);
+      }
+    }
+
+    if (template.trim().endsWith('/')) {
+      errors.push('Template must end with a file name, not a folder');
+    }
+    return errors;
+  }
+
+  // Render a template into a relative path ("folder/sub/file.pdf"); "/" separates folders
+  function render(template, record) {
+    const source = validate(template).length === 0 ? template : DEFAULT_TEMPLATE;
+
+    const segments = source.split('/').map(segment => {
+      const filled = segment.replace(TOKEN_PATTERN, (token, name) => {
+        const value = sanitizeSegment(TOKENS[name].resolve(record));
+        return value || 'unknown';
+      });
+      return sanitizeSegment(filled);
+    }).filter(segment => segment && segment !== '..');
+
+    let path = segments.join('/') || 'invoice';
+    if (!/\.pdf$/i.test(path)) {
+      path += '.pdf';
+    }
+    return path;
+  }
+
+  return { DEFAULT_TEMPLATE, TOKENS, validate, render, sanitizeSegment };
+})();
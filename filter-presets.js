@@ -0,0 +1,128 @@
+// Amazon Seller Fee Invoice Downloader - Filter Presets
+// Named filter states in chrome.storage.sync, relative date ranges, and the URL hash that carries a
+// filter state in a shareable link
+
+const FilterPresets = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'amazon_filter_presets'; // Preset name -> filter state
+  const HASH_PREFIX = '#amz-filters?';
+
+  // Presets and links keep a relative range by name, so "last quarter" moves along with the calendar
+  const RANGES = {
+    'last-month': 'Last month',
+    'last-quarter': 'Last quarter',
+    'last-6-months': 'Last 6 months',
+    'year-to-date': 'Year to date',
+    'previous-tax-year': 'Previous tax year'
+  };
+
+  // Local "YYYY-MM-DD" as used by the date inputs (toISOString would shift to UTC)
+  function isoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  // Same day some months earlier, clamped to the end of shorter months (Aug 31 -> Feb 28/29)
+  function monthsBefore(date, months) {
+    const target = new Date(date.getFullYear(), date.getMonth() - months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return target;
+  }
+
+  // { dateFrom, dateTo } of a relative range, or null for unknown ranges. Day 0 of a month is the
+  // last day of the month before. taxYearStart is { month: 1-12, day } (6 April for the UK).
+  function rangeDates(range, taxYearStart = { month: 1, day: 1 }, today = new Date()) {
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    const span = (from, to) => ({ dateFrom: isoDate(from), dateTo: isoDate(to) });
+
+    switch (range) {
+      case 'last-month':
+        return span(new Date(year, month - 1, 1), new Date(year, month, 0));
+      case 'last-quarter': {
+        const quarterStart = month - month % 3;
+        return span(new Date(year, quarterStart - 3, 1), new Date(year, quarterStart, 0));
+      }
+      case 'last-6-months':
+        return span(monthsBefore(today, 6), today);
+      case 'year-to-date':
+        return span(new Date(year, 0, 1), today);
+      case 'previous-tax-year': {
+        const startMonth = taxYearStart.month - 1;
+        const startsThisYear = new Date(year, startMonth, taxYearStart.day) <= today;
+        const currentStartYear = startsThisYear ? year : year - 1;
+        return span(
+          new Date(currentStartYear - 1, startMonth, taxYearStart.day),
+          new Date(currentStartYear, startMonth, taxYearStart.day - 1)
+        );
+      }
+      default:
+        return null;
+    }
+  }
+
+  // A filter state reduced to the keys of `empty`, with matching types; unknown ranges are dropped
+  function normalize(filters, empty) {
+    const result = { ...empty };
+    for (let key of Object.keys(empty)) {
+      const value = filters?.[key];
+      if (Array.isArray(empty[key])) {
+        if (Array.isArray(value)) result[key] = value.filter(item => typeof item === 'string' && item !== '');
+      } else if (typeof value === 'string') {
+        result[key] = value;
+      }
+    }
+    if (!Object.hasOwn(RANGES, result.range)) result.range = '';
+    return result;
+  }
+
+  // Only the filters that are set; a relative range stands in for its dates
+  function compact(filters) {
+    return Object.fromEntries(Object.entries(filters).filter(([key, value]) => {
+      if (filters.range && (key === 'dateFrom' || key === 'dateTo')) return false;
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    }));
+  }
+
+  async function load() {
+    const result = await chrome.storage.sync.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || {};
+  }
+
+  async function save(name, filters) {
+    const presets = await load();
+    presets[name] = compact(filters);
+    await chrome.storage.sync.set({ [STORAGE_KEY]: presets });
+  }
+
+  async function remove(name) {
+    const presets = await load();
+    delete presets[name];
+    await chrome.storage.sync.set({ [STORAGE_KEY]: presets });
+  }
+
+  // "#amz-filters?status=pending&range=last-quarter&supplierName=A&supplierName=B"; '' without filters
+  function toHash(filters) {
+    const params = new URLSearchParams();
+    for (let [key, value] of Object.entries(compact(filters))) {
+      [].concat(value).forEach(item => params.append(key, item));
+    }
+    const query = params.toString();
+    return query ? HASH_PREFIX + query : '';
+  }
+
+  // Filter state of a link's hash, or null when the hash isn't one of ours
+  function fromHash(hash, empty) {
+    if (!hash.startsWith(HASH_PREFIX)) return null;
+
+    const params = new URLSearchParams(hash.slice(HASH_PREFIX.length));
+    const filters = {};
+    for (let key of params.keys()) {
+      filters[key] = Array.isArray(empty[key]) ? params.getAll(key) : params.get(key);
+    }
+    return normalize(filters, empty);
+  }
+
+  return { STORAGE_KEY, HASH_PREFIX, RANGES, rangeDates, normalize, load, save, remove, toHash, fromHash };
+})();
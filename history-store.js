@@ -0,0 +1,124 @@
+// Amazon Seller Fee Invoice Downloader - Download History
+// The download history in chrome.storage.local, kept per seller account and shared by the content
+// script, the history popup and the background check
+
+const DownloadHistory = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'amazon_downloaded_invoices'; // Array of downloaded invoice ids
+  const STATUS_KEY = STORAGE_KEY + '_status'; // Invoice id -> { status, timestamp, attempts, ... }
+  const ACCOUNTS_KEY = 'amazon_accounts'; // Account -> { lastSeen }
+  const HASHES_KEY = 'amazon_invoice_hashes'; // Invoice id -> { sha256, path, timestamp }, kept when clearing
+  const INVOICE_PAGES = 'https://*/tax/seller-fee-invoices*';
+
+  // Per-account variant of a storage key. Without an account (not shown on the page) the plain key
+  // is used, which is also where versions before per-account history kept everything.
+  function scopedKey(key, account) {
+    return account ? `${key}:${account}` : key;
+  }
+
+  // { downloaded: Set of invoice ids, status: Map of invoice id -> status record }
+  async function load(account) {
+    const keys = [scopedKey(STORAGE_KEY, account), scopedKey(STATUS_KEY, account)];
+    const result = await chrome.storage.local.get(keys);
+    return {
+      downloaded: new Set(result[keys[0]] || []),
+      status: new Map(Object.entries(result[keys[1]] || {}))
+    };
+  }
+
+  function save(account, downloaded, status) {
+    return chrome.storage.local.set({
+      [scopedKey(STORAGE_KEY, account)]: Array.from(downloaded),
+      [scopedKey(STATUS_KEY, account)]: Object.fromEntries(status)
+    });
+  }
+
+  // One entry per invoice with history, newest first. Ids from old versions may have no record.
+  async function entries(account) {
+    const { downloaded, status } = await load(account);
+    const ids = new Set([...downloaded, ...status.keys()]);
+
+    return [...ids].map(invoiceId => {
+      const record = status.get(invoiceId) || {};
+      return {
+        ...record,
+        invoiceId,
+        status: downloaded.has(invoiceId) ? 'downloaded' : record.status || 'pending',
+        timestamp: record.timestamp || 0,
+        attempts: record.attempts || 0
+      };
+    }).sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  // Forget individual invoices so they count as pending again
+  async function remove(account, invoiceIds) {
+    const { downloaded, status } = await load(account);
+    invoiceIds.forEach(invoiceId => {
+      downloaded.delete(invoiceId);
+      status.delete(invoiceId);
+    });
+    await save(account, downloaded, status);
+  }
+
+  // Clearing the history keeps the content hashes, so files still on disk are recognised afterwards
+  function clear(account) {
+    return chrome.storage.local.remove([scopedKey(STORAGE_KEY, account), scopedKey(STATUS_KEY, account)]);
+  }
+
+  // SHA-256 of the last PDF saved per invoice and where it went (the file, or the archive holding it)
+  async function loadHashes(account) {
+    const key = scopedKey(HASHES_KEY, account);
+    const result = await chrome.storage.local.get(key);
+    return new Map(Object.entries(result[key] || {}));
+  }
+
+  function saveHashes(account, hashes) {
+    return chrome.storage.local.set({ [scopedKey(HASHES_KEY, account)]: Object.fromEntries(hashes) });
+  }
+
+  // Accounts with history, most recently seen first; '' stands for history without an account
+  async function accounts() {
+    const stored = await chrome.storage.local.get([ACCOUNTS_KEY, STORAGE_KEY, STATUS_KEY]);
+    const known = Object.entries(stored[ACCOUNTS_KEY] || {})
+      .sort((a, b) => b[1].lastSeen - a[1].lastSeen)
+      .map(([account]) => account);
+    const hasUnscoped = (stored[STORAGE_KEY] || []).length > 0 || Object.keys(stored[STATUS_KEY] || {}).length > 0;
+    return hasUnscoped ? [...known, ''] : known;
+  }
+
+  // Remember an account the extension has seen. The first one inherits the history recorded before
+  // history was kept per account, which belongs to whoever used the extension so far.
+  async function registerAccount(account) {
+    if (!account) return;
+
+    const stored = await chrome.storage.local.get([ACCOUNTS_KEY, STORAGE_KEY, STATUS_KEY]);
+    const known = stored[ACCOUNTS_KEY] || {};
+    const update = { [ACCOUNTS_KEY]: { ...known, [account]: { lastSeen: Date.now() } } };
+
+    const isFirstAccount = Object.keys(known).length === 0;
+    if (isFirstAccount && (stored[STORAGE_KEY] || stored[STATUS_KEY])) {
+      update[scopedKey(STORAGE_KEY, account)] = stored[STORAGE_KEY] || [];
+      update[scopedKey(STATUS_KEY, account)] = stored[STATUS_KEY] || {};
+      await chrome.storage.local.set(update);
+      await chrome.storage.local.remove([STORAGE_KEY, STATUS_KEY]);
+      console.log(`Download history: moved existing history to account ${account}`);
+      return;
+    }
+
+    await chrome.storage.local.set(update);
+  }
+
+  // Open invoice pages keep the history in memory; extension pages that change it tell them to reload
+  async function notifyInvoicePages(account) {
+    const tabs = await chrome.tabs.query({ url: INVOICE_PAGES });
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, { action: 'history_changed', account }).catch(() => {});
+    });
+  }
+
+  return {
+    STORAGE_KEY, STATUS_KEY, scopedKey, load, save, entries, remove, clear, loadHashes, saveHashes,
+    accounts, registerAccount, notifyInvoicePages
+  };
+})();
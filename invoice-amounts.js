@@ -0,0 +1,179 @@
+// Amazon Seller Fee Invoice Downloader - Invoice Amounts
+// Finds net, VAT and gross totals, currency and invoice date in the text of a fee invoice PDF
+// Requires invoice-locale.js (date parsing)
+
+const InvoiceAmounts = (() => {
+  'use strict';
+
+  // Line labels in the languages Amazon issues fee invoices in, most specific first.
+  // Matched against normalised text (lower case, no accents).
+  const LABELS = {
+    gross: [
+      'total amount including vat', 'total incl. vat', 'total including vat', 'invoice total', 'total amount due',
+      'amount due', 'total amount', 'grand total',
+      'gesamtbetrag inkl', 'rechnungsbetrag', 'gesamtbetrag brutto', 'bruttobetrag', 'gesamtsumme',
+      'montant total ttc', 'total ttc', 'montant ttc', 'montant total',
+      'totale fattura', 'importo totale', 'totale da pagare', 'totale ivato',
+      'importe total', 'total factura', 'total a pagar'
+    ],
+    net: [
+      'total excluding vat', 'total excl. vat', 'subtotal excluding vat', 'subtotal (excl', 'total net',
+      'net amount', 'net total', 'excl. vat', 'excluding vat', 'subtotal',
+      'gesamtbetrag netto', 'nettobetrag', 'summe netto', 'zwischensumme', 'netto',
+      'montant total ht', 'total ht', 'montant ht', 'sous-total',
+      'totale imponibile', 'imponibile', 'subtotale',
+      'base imponible', 'importe neto'
+    ],
+    vat: [
+      'total vat', 'vat amount', 'total tax', 'vat',
+      'umsatzsteuer', 'mehrwertsteuer', 'mwst', 'ust',
+      'montant tva', 'total tva', 'tva',
+      'totale iva', 'importo iva', 'iva',
+      'importe iva', 'cuota iva'
+    ],
+    invoiceDate: [
+      'invoice date', 'tax point date', 'date of invoice', 'credit note date',
+      'rechnungsdatum', 'gutschriftsdatum', 'datum',
+      'date de facture', 'date de la facture', 'date d\'emission', 'date',
+      'data fattura', 'data della fattura', 'data di emissione', 'data',
+      'fecha de factura', 'fecha de la factura', 'fecha de emision', 'fecha'
+    ]
+  };
+
+  const CURRENCY_SYMBOLS = { '£': 'GBP', '€': 'EUR', '$': 'USD', 'zł': 'PLN', 'kč': 'CZK', 'kr': 'SEK', '₺': 'TRY' };
+  const CURRENCY_CODES = ['EUR', 'GBP', 'PLN', 'SEK', 'CZK', 'USD', 'TRY', 'DKK', 'NOK', 'CHF', 'AED', 'SAR', 'EGP'];
+
+  const DATE_PATTERN = /\d{4}-\d{2}-\d{2}|\d{1,2}[./-]\d{1,2}[./-]\d{4}|\d{1,2}(?:\.|er)?\s+(?:de\s+)?[a-z]{3,}\.?\s+(?:de\s+)?\d{4}|[a-z]{3,}\.?\s+\d{1,2},?\s+\d{4}/;
+  const AMOUNT_PATTERN = /(?:^|[^\w.,%])(-|\u2212|\()?\s?(?:[£€$₺]\s?)?(\d{1,3}(?:[.,'\u00a0\u202f]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)(?![\d%]|\s?%)/g;
+
+  // Lines that carry a label but mean something else, e.g. "Total amount excl. VAT" is not the gross
+  // total and "VAT registration number" is not a VAT amount
+  const EXCLUDE = {
+    gross: /excl|excluding|before vat|netto|\bnet\b|\bht\b|imponibile|\bneto\b|sin iva|hors taxe/,
+    net: /incl|including|brutto|\bttc\b|ivato|con iva/,
+    vat: /registration|reg\.? ?no|number|\bno\.|\bid\b|idnr|ust-?id|steuernummer|n° ?tva|numero|partita|\bnif\b|\bcif\b|excl|incl|exempt/,
+    invoiceDate: /due|period|service|delivery|order|zeitraum|periode|periodo|scadenza|vencimiento|echeance/
+  };
+
+  // "1.234,56" / "1,234.56" / "1 234,56" -> 1234.56
+  function parseNumber(text) {
+    const decimal = /[.,](\d{1,2})$/.exec(text);
+    const whole = (decimal ? text.slice(0, decimal.index) : text).replace(/[^\d]/g, '');
+    return Number(decimal ? `${whole}.${decimal[1]}` : whole);
+  }
+
+  // Amounts on a line, ignoring dates and percentages; negative when written as -x or (x)
+  function amountsIn(line) {
+    const withoutDates = line.replace(new RegExp(DATE_PATTERN.source, 'g'), ' ');
+    return [...withoutDates.matchAll(AMOUNT_PATTERN)].map(match => {
+      const value = parseNumber(match[2]);
+      return match[1] ? -value : value;
+    });
+  }
+
+  // Last amount on the first line carrying one of the labels (or on the line after it)
+  function findAmount(lines, field) {
+    for (let label of LABELS[field]) {
+      for (let i = 0; i < lines.length; i++) {
+        const position = lines[i].indexOf(label);
+        if (position === -1 || !isWordAt(lines[i], position, label) || EXCLUDE[field].test(lines[i])) continue;
+
+        const amounts = amountsIn(lines[i].slice(position + label.length));
+        if (amounts.length > 0) return amounts[amounts.length - 1];
+
+        const next = amountsIn(lines[i + 1] || '');
+        if (next.length > 0 && !labelsOnLine(lines[i + 1])) return next[next.length - 1];
+      }
+    }
+    return null;
+  }
+
+  function isWordAt(line, position, label) {
+    const before = line[position - 1];
+    const after = line[position + label.length];
+    return (!before || !/[a-z]/.test(before)) && (!after || !/[a-z]/.test(after));
+  }
+
+  function labelsOnLine(line) {
+    return Object.values(LABELS).some(labels => labels.some(label => line.includes(label)));
+  }
+
+  function findVatRate(lines) {
+    for (let label of LABELS.vat) {
+      for (let line of lines) {
+        if (!line.includes(label) || EXCLUDE.vat.test(line)) continue;
+        const rate = /(\d{1,2}(?:[.,]\d{1,2})?)\s?%/.exec(line);
+        if (rate) return parseNumber(rate[1]);
+      }
+    }
+    const anyRate = lines.map(line => /(\d{1,2}(?:[.,]\d{1,2})?)\s?%/.exec(line)).find(Boolean);
+    return anyRate ? parseNumber(anyRate[1]) : null;
+  }
+
+  function findDate(lines, language) {
+    for (let label of LABELS.invoiceDate) {
+      for (let i = 0; i < lines.length; i++) {
+        const position = lines[i].indexOf(label);
+        if (position === -1 || !isWordAt(lines[i], position, label) || EXCLUDE.invoiceDate.test(lines[i])) continue;
+
+        for (let candidate of [lines[i].slice(position + label.length), lines[i + 1] || '']) {
+          const date = DATE_PATTERN.exec(candidate);
+          const parsed = date && InvoiceLocale.parseDate(date[0], language);
+          if (parsed) return parsed;
+        }
+      }
+    }
+    return '';
+  }
+
+  function findCurrency(text) {
+    const codes = text.toUpperCase().match(new RegExp(`\\b(${CURRENCY_CODES.join('|')})\\b`, 'g')) || [];
+    if (codes.length > 0) return mostCommon(codes);
+
+    const symbols = [];
+    for (let [symbol, code] of Object.entries(CURRENCY_SYMBOLS)) {
+      const pattern = /^[a-z]/i.test(symbol)
+        ? new RegExp(`\\d\\s?${symbol}\\b`, 'gi')
+        : new RegExp(symbol.replace(/[$]/, '\\$'), 'g');
+      (text.match(pattern) || []).forEach(() => symbols.push(code));
+    }
+    return symbols.length > 0 ? mostCommon(symbols) : '';
+  }
+
+  function mostCommon(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  // { net, vatRate, vat, gross, currency, invoiceDate }, missing values null/'';
+  // returns null when the text contains none of them
+  function parse(text, language = 'en') {
+    const lines = text.split('\n').map(line => InvoiceLocale.normalize(line)).filter(Boolean);
+
+    let net = findAmount(lines, 'net');
+    let vat = findAmount(lines, 'vat');
+    let gross = findAmount(lines, 'gross');
+
+    // Fill a missing total from the other two
+    if (gross === null && net !== null && vat !== null) gross = round(net + vat);
+    if (net === null && gross !== null && vat !== null) net = round(gross - vat);
+    if (vat === null && net !== null && gross !== null) vat = round(gross - net);
+
+    const result = {
+      net,
+      vatRate: findVatRate(lines),
+      vat,
+      gross,
+      currency: findCurrency(text),
+      invoiceDate: findDate(lines, language)
+    };
+
+    const found = result.net !== null || result.vat !== null || result.gross !== null;
+    return found ? result : null;
+  }
+
+  return { parse };
+})();
@@ -0,0 +1,169 @@
+// Amazon Seller Fee Invoice Downloader - Localisation
+// Column header labels and date formats of the localised Seller Central invoice pages
+
+const InvoiceLocale = (() => {
+  'use strict';
+
+  // Known header labels per field (English, German, French, Italian, Spanish)
+  const COLUMN_HEADERS = {
+    invoiceNumber: [
+      'Invoice Number', 'Credit Note Number',
+      'Rechnungsnummer', 'Gutschriftsnummer',
+      'Numéro de facture', 'Numéro d\'avoir',
+      'Numero fattura', 'Numero della fattura', 'Numero nota di credito',
+      'Número de factura', 'Número de abono', 'Número de nota de crédito'
+    ],
+    invoiceType: [
+      'Invoice Type', 'Credit Note Type',
+      'Rechnungstyp', 'Rechnungsart', 'Gutschriftstyp',
+      'Type de facture', 'Type d\'avoir',
+      'Tipo di fattura', 'Tipo fattura', 'Tipo di nota di credito',
+      'Tipo de factura', 'Tipo de abono'
+    ],
+    fileType: [
+      'Invoice File Type', 'Credit Note File Type',
+      'Rechnungsdateityp', 'Dateityp',
+      'Type de fichier de facture', 'Type de fichier',
+      'Tipo di file della fattura', 'Tipo di file',
+      'Tipo de archivo de factura', 'Tipo de archivo'
+    ],
+    payerName: [
+      'Payer Name',
+      'Name des Zahlers', 'Zahlername',
+      'Nom du payeur',
+      'Nome del pagatore',
+      'Nombre del pagador'
+    ],
+    payerRegistration: [
+      'Payer Registration',
+      'Registrierung des Zahlers', 'Registrierungsnummer des Zahlers',
+      'Enregistrement du payeur', 'Immatriculation du payeur',
+      'Registrazione del pagatore',
+      'Registro del pagador'
+    ],
+    supplierName: [
+      'Supplier Name',
+      'Name des Lieferanten', 'Lieferantenname',
+      'Nom du fournisseur',
+      'Nome del fornitore',
+      'Nombre del proveedor'
+    ],
+    supplierRegistration: [
+      'Supplier Registration',
+      'Registrierung des Lieferanten', 'Registrierungsnummer des Lieferanten',
+      'Enregistrement du fournisseur', 'Immatriculation du fournisseur',
+      'Registrazione del fornitore',
+      'Registro del proveedor'
+    ],
+    marketplace: [
+      'Marketplace',
+      'Marktplatz',
+      'Place de marché',
+      'Mercato',
+      'Tienda'
+    ],
+    startDate: [
+      'Start Date',
+      'Startdatum', 'Anfangsdatum', 'Beginndatum',
+      'Date de début',
+      'Data di inizio', 'Data inizio',
+      'Fecha de inicio'
+    ],
+    endDate: [
+      'End Date',
+      'Enddatum',
+      'Date de fin',
+      'Data di fine', 'Data fine',
+      'Fecha de finalización', 'Fecha de fin', 'Fecha final'
+    ]
+  };
+
+  // Month names (or unambiguous prefixes) in every supported language, keyed by month number
+  const MONTHS = {
+    1: ['january', 'januar', 'janvier', 'gennaio', 'enero', 'jan', 'janv', 'gen', 'ene'],
+    2: ['february', 'februar', 'fevrier', 'febbraio', 'febrero', 'feb', 'fevr', 'fev'],
+    3: ['march', 'marz', 'mars', 'marzo', 'mar', 'mrz'],
+    4: ['april', 'avril', 'aprile', 'abril', 'apr', 'avr', 'abr'],
+    5: ['may', 'mai', 'maggio', 'mayo', 'mag'],
+    6: ['june', 'juni', 'juin', 'giugno', 'junio', 'jun', 'giu'],
+    7: ['july', 'juli', 'juillet', 'luglio', 'julio', 'jul', 'juil', 'lug'],
+    8: ['august', 'aout', 'agosto', 'aug', 'ago'],
+    9: ['september', 'septembre', 'settembre', 'septiembre', 'sep', 'sept', 'set'],
+    10: ['october', 'oktober', 'octobre', 'ottobre', 'octubre', 'oct', 'okt', 'ott'],
+    11: ['november', 'novembre', 'noviembre', 'nov'],
+    12: ['december', 'dezember', 'decembre', 'dicembre', 'diciembre', 'dec', 'dez', 'dic']
+  };
+
+  const MONTH_LOOKUP = new Map();
+  for (let [month, names] of Object.entries(MONTHS)) {
+    names.forEach(name => MONTH_LOOKUP.set(name, Number(month)));
+  }
+
+  // Lower case, no accents, single spaces - "Place de Marché " -> "place de marche"
+  function normalize(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[\u2019`]/g, '\'')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  const HEADER_LOOKUP = new Map();
+  for (let [field, labels] of Object.entries(COLUMN_HEADERS)) {
+    labels.forEach(label => HEADER_LOOKUP.set(normalize(label), field));
+  }
+
+  // Field name for a header label in any supported language, or '' if unknown
+  function matchColumn(label) {
+    return HEADER_LOOKUP.get(normalize(label)) || '';
+  }
+
+  function monthFromWord(word) {
+    return MONTH_LOOKUP.get(word) || MONTH_LOOKUP.get(word.slice(0, 4)) || MONTH_LOOKUP.get(word.slice(0, 3)) || 0;
+  }
+
+  function toIsoDate(year, month, day) {
+    if (!year || month < 1 || month > 12 || day < 1 || day > 31) return '';
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  // Parse the date formats the localised pages use into YYYY-MM-DD, using the calendar date
+  // as printed (no timezone shifting). Returns '' for text that is not a date.
+  //   "Sun Nov 30 23:00:00 UTC 2025", "30.11.2025", "30/11/2025", "2025-11-30",
+  //   "30. November 2025", "1er mars 2025", "30 de noviembre de 2025", "Nov 30, 2025"
+  function parseDate(text, language = 'en') {
+    const value = normalize(text).replace(/\b\d{1,2}:\d{2}(:\d{2})?\b/g, ' ');
+
+    let match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    if (match) return toIsoDate(match[1], Number(match[2]), Number(match[3]));
+
+    match = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(value);
+    if (match) {
+      // Only US English writes month first
+      const monthFirst = normalize(language) === 'en-us';
+      const [day, month] = monthFirst ? [match[2], match[1]] : [match[1], match[2]];
+      return toIsoDate(match[3], Number(month), Number(day));
+    }
+
+    const year = /\b(\d{4})\b/.exec(value);
+    if (!year) return '';
+
+    // A leading word is the weekday in Java-style dates ("mar. nov. 04 ..."), so prefer later months
+    const words = value.match(/[a-z]+/g) || [];
+    const months = words.map(monthFromWord).map((month, position) => ({ month, position })).filter(m => m.month);
+    if (months.length === 0) return '';
+    const { month } = months.find(m => m.position > 0) || months[0];
+
+    const day = value.replace(year[0], ' ').match(/(?:^|\D)(\d{1,2})(?!\d)/);
+    return day ? toIsoDate(year[1], month, Number(day[1])) : '';
+  }
+
+  // Page language, e.g. "de-DE", from <html lang>
+  function detectLanguage(doc) {
+    return doc.documentElement.getAttribute('lang') || 'en';
+  }
+
+  return { COLUMN_HEADERS, normalize, matchColumn, parseDate, detectLanguage };
+})();
@@ -0,0 +1,135 @@
+// Amazon Seller Fee Invoice Downloader - Invoice Parser
+// Reads invoice rows from a Seller Central listing document; shared by the content script and
+// the offscreen document the background check parses fetched pages in
+// Requires invoice-locale.js to be loaded first
+
+const InvoiceParser = (() => {
+  'use strict';
+
+  const TABLE_SELECTOR = 'table.fba-core-data';
+
+  // Header and body cells that belong to Amazon's table, i.e. without our selection column
+  function getDataCells(row) {
+    if (!row) return [];
+    return Array.from(row.cells).filter(cell => !cell.classList.contains('amz-select-cell'));
+  }
+
+  // Column positions keyed by field name, from the table's (possibly localised) header
+  function buildColumnMap(table) {
+    const columnMap = {};
+    getDataCells(table.querySelector('thead tr')).forEach((th, columnIndex) => {
+      const field = InvoiceLocale.matchColumn(th.textContent);
+      if (field) {
+        columnMap[field] = columnIndex;
+      }
+    });
+    return columnMap;
+  }
+
+  function extractColumn(row, columnMap, field) {
+    const columnIndex = columnMap[field];
+    if (columnIndex === undefined) return '';
+    return getDataCells(row)[columnIndex]?.textContent.trim() || '';
+  }
+
+  // "Amazon.de" -> "de", "Amazon.co.uk" -> "co.uk"
+  function marketplaceFromText(text) {
+    if (!text) return 'unknown';
+    const domain = /amazon\.([a-z.]+)/i.exec(text);
+    return domain ? domain[1].toLowerCase() : text.toLowerCase();
+  }
+
+  // Extract button data attributes (all fields needed for Amazon's endpoint)
+  function extractButtonData(button) {
+    if (!button) return {};
+
+    return {
+      endDate: button.getAttribute('data-enddate'),
+      fileType: button.getAttribute('data-filetype'),
+      filterName: button.getAttribute('data-filtername'),
+      invoice: button.getAttribute('data-invoice'),
+      payeeRegistrationNumber: button.getAttribute('data-payeeregistrationnumber'),
+      rarId: button.getAttribute('data-rarid'),
+      shedDocumentName: button.getAttribute('data-sheddocumentname')
+    };
+  }
+
+  // Hidden form inputs Amazon renders per row, e.g. sellerFeeInvoices[3].payerSORId -> { payerSORId }
+  function extractHiddenFields(row) {
+    const fields = {};
+    row.querySelectorAll('input[type="hidden"][name^="sellerFeeInvoices["]').forEach(input => {
+      const field = input.name.slice(input.name.lastIndexOf('.') + 1);
+      fields[field] = input.value.trim();
+    });
+    return fields;
+  }
+
+  // Row record as used throughout the extension; `element` is the row itself
+  function readRow(row, { index, documentKind, columnMap }) {
+    const viewButton = row.querySelector('button[id*="view_invoice_button"]');
+    const buttonData = extractButtonData(viewButton);
+    const hiddenFields = extractHiddenFields(row);
+    const language = InvoiceLocale.detectLanguage(row.ownerDocument);
+    const column = (field) => extractColumn(row, columnMap, field);
+
+    return {
+      element: row,
+      index: index,
+      documentKind: documentKind,
+      invoiceId: column('invoiceNumber') || hiddenFields.vatInvoiceNumber || buttonData.invoice || '',
+      startDate: InvoiceLocale.parseDate(column('startDate'), language),
+      endDate: InvoiceLocale.parseDate(column('endDate') || buttonData.endDate || '', language),
+      marketplace: marketplaceFromText(column('marketplace')),
+      invoiceType: column('invoiceType'),
+      fileType: column('fileType'),
+      payerName: column('payerName'),
+      payerRegistration: column('payerRegistration'),
+      supplierName: column('supplierName'),
+      supplierRegistration: column('supplierRegistration'),
+      textContent: row.textContent.toLowerCase(),
+      documentVersionId: viewButton?.value || hiddenFields.documentVersionId || '',
+      buttonData: buttonData,
+      hiddenFields: hiddenFields,
+      isVisible: true,
+      isSelected: false
+    };
+  }
+
+  // Plain copy of a row record without DOM references, safe for chrome.storage and messaging
+  function serializeRow(data) {
+    const { element, textContent, isVisible, isSelected, ...record } = data;
+    return record;
+  }
+
+  // Every invoice row of a listing document, serialised
+  function parseDocument(doc, documentKind) {
+    const table = doc.querySelector(TABLE_SELECTOR);
+    if (!table) return [];
+
+    const columnMap = buildColumnMap(table);
+    return Array.from(table.querySelectorAll('tbody tr'))
+      .map((row, index) => serializeRow(readRow(row, { index, documentKind, columnMap })))
+      .filter(data => data.invoiceId);
+  }
+
+  // Seller account a listing belongs to: the e-mail address shown above the table ("Your e-mail
+  // address : ..."), otherwise the payer registration of its invoices. '' when neither is present.
+  function accountFromDocument(doc, rows = []) {
+    const email = doc.querySelector('input[name="email"]')?.value.trim() ||
+      /[^\s:]+@[^\s]+\.[a-z]{2,}/i.exec(doc.querySelector('h3.a-color-state')?.textContent || '')?.[0];
+    if (email) return email.toLowerCase();
+
+    const registration = rows.map(data => data.payerRegistration).find(Boolean);
+    return registration ? registration.replace(/\s+/g, '').toUpperCase() : '';
+  }
+
+  // Seller Central redirects to the Amazon sign-in page once the session has expired
+  function isSignInUrl(url) {
+    return url.includes('/ap/signin');
+  }
+
+  return {
+    TABLE_SELECTOR, getDataCells, buildColumnMap, readRow, serializeRow, parseDocument,
+    marketplaceFromText, accountFromDocument, isSignInUrl
+  };
+})();
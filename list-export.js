@@ -0,0 +1,125 @@
+// Amazon Seller Fee Invoice Downloader - List Export
+// Writes table rows to CSV or a minimal XLSX workbook (requires zip-writer.js)
+
+const ListExport = (() => {
+  'use strict';
+
+  // columns: [{ header, value(row) }]; values may be strings or numbers
+
+  function toCsv(columns, rows) {
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(column => escape(column.header)).join(',')];
+    for (let row of rows) {
+      lines.push(columns.map(column => escape(column.value(row))).join(','));
+    }
+
+    // The byte order mark makes Excel read the file as UTF-8 instead of the system code page
+    return new Blob(['\uFEFF' + lines.join('\r\n') + '\r\n'], { type: 'text/csv;charset=utf-8' });
+  }
+
+  function escapeXml(value) {
+    return String(value)
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // 0 -> A, 25 -> Z, 26 -> AA
+  function columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+    }
+    return letters;
+  }
+
+  function cellXml(value, reference, style) {
+    const styleAttribute = style ? ` s="${style}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+    }
+    const text = value === undefined || value === null ? '' : String(value);
+    if (!text) return '';
+    return `<c r="${reference}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+  }
+
+  function sheetXml(columns, rows) {
+    const rowXml = (values, rowNumber, style) =>
+      `<row r="${rowNumber}">${values.map((value, i) => cellXml(value, columnLetter(i) + rowNumber, style)).join('')}</row>`;
+
+    const sheetRows = [rowXml(columns.map(column => column.header), 1, 1)];
+    rows.forEach((row, i) => sheetRows.push(rowXml(columns.map(column => column.value(row)), i + 2, 0)));
+
+    const widths = columns.map((column, i) =>
+      `<col min="${i + 1}" max="${i + 1}" width="${column.width || 18}" customWidth="1"/>`).join('');
+    const lastCell = columnLetter(columns.length - 1) + (rows.length + 1);
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<cols>${widths}</cols>` +
+      `<sheetData>${sheetRows.join('')}</sheetData>` +
+      `<autoFilter ref="A1:${lastCell}"/>` +
+      '</worksheet>';
+  }
+
+  const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>';
+
+  const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+  const WORKBOOK_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>';
+
+  // Style 0 is the default, style 1 the bold header row
+  const STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '</styleSheet>';
+
+  async function toXlsx(columns, rows, sheetName = 'Invoices') {
+    const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+      '<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">' +
+      `'${escapeXml(sheetName.slice(0, 31))}'!$A$1:$${columnLetter(columns.length - 1)}$${rows.length + 1}</definedName></definedNames>` +
+      '</workbook>';
+
+    const zip = new ZipWriter();
+    await zip.addFile('[Content_Types].xml', CONTENT_TYPES);
+    await zip.addFile('_rels/.rels', ROOT_RELS);
+    await zip.addFile('xl/workbook.xml', workbook);
+    await zip.addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+    await zip.addFile('xl/styles.xml', STYLES);
+    await zip.addFile('xl/worksheets/sheet1.xml', sheetXml(columns, rows));
+
+    const blob = zip.toBlob();
+    return new Blob([blob], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  }
+
+  return { toCsv, toXlsx };
+})();
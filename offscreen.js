@@ -0,0 +1,45 @@
+// Amazon Seller Fee Invoice Downloader - Offscreen Document
+// Parses invoice pages fetched by the background check and turns files handed over by the content
+// script into object URLs for chrome.downloads (service workers have neither DOMParser nor
+// URL.createObjectURL)
+
+(function() {
+  'use strict';
+
+  const transfers = new Map(); // Transfer id -> decoded chunks, until the object URL is created
+
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== 'offscreen') return;
+
+    if (request.action === 'parse_invoice_list') {
+      const doc = new DOMParser().parseFromString(request.html, 'text/html');
+      const rows = InvoiceParser.parseDocument(doc, request.documentKind);
+      sendResponse({
+        hasTable: Boolean(doc.querySelector(InvoiceParser.TABLE_SELECTOR)),
+        account: InvoiceParser.accountFromDocument(doc, rows),
+        rows
+      });
+    }
+
+    if (request.action === 'append_blob_chunk') {
+      if (!transfers.has(request.transferId)) transfers.set(request.transferId, []);
+      transfers.get(request.transferId).push(Uint8Array.from(atob(request.data), char => char.charCodeAt(0)));
+      sendResponse({ success: true });
+    }
+
+    // A size mismatch means chunks went missing on the way (e.g. the service worker restarted)
+    if (request.action === 'create_blob_url') {
+      const blob = new Blob(transfers.get(request.transferId) || [], { type: request.type });
+      transfers.delete(request.transferId);
+      sendResponse(blob.size === request.size
+        ? { url: URL.createObjectURL(blob) }
+        : { error: `Incomplete file: ${blob.size} of ${request.size} bytes received` });
+    }
+
+    if (request.action === 'revoke_blob_url') {
+      URL.revokeObjectURL(request.url);
+      sendResponse({ success: true });
+    }
+  });
+
+})();
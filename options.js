@@ -0,0 +1,246 @@
+// Amazon Seller Fee Invoice Downloader - Options Page
+// Edits the settings stored in chrome.storage.sync (schema in settings.js)
+
+(function() {
+  'use strict';
+
+  const SAMPLE_ROW_KEY = 'amazon_sample_invoice';
+
+  // Used for the preview until the content script has seen a real invoice row
+  const BUILT_IN_SAMPLE = {
+    invoiceId: 'PL-AEU-2025-1034084',
+    documentKind: 'invoice',
+    startDate: '2025-11-01',
+    endDate: '2025-11-30',
+    marketplace: 'pl',
+    invoiceType: 'Fulfillment by Amazon Tax Invoice',
+    fileType: 'PDF',
+    payerName: 'Example Trading Ltd',
+    payerRegistration: 'GB123456789',
+    supplierName: 'Amazon EU S.à r.l.',
+    supplierRegistration: 'PL5262907815',
+    buttonData: { filterName: 'AEU_FBA_B2B_E_INVOICE_PL' }
+  };
+
+  let sampleRow = BUILT_IN_SAMPLE;
+
+  const templateInput = document.getElementById('amz-filename-template');
+
+  async function init() {
+    const local = await chrome.storage.local.get(SAMPLE_ROW_KEY);
+    if (local[SAMPLE_ROW_KEY]) {
+      sampleRow = local[SAMPLE_ROW_KEY];
+    }
+    document.getElementById('amz-preview-source').textContent = local[SAMPLE_ROW_KEY]
+      ? `Based on invoice ${sampleRow.invoiceId} from your last visit to the invoice page`
+      : 'Based on a built-in example invoice';
+
+    renderSettingsFields();
+    fillForm(await ExtensionSettings.load());
+
+    renderTokenList();
+    updatePreview();
+
+    templateInput.addEventListener('input', updatePreview);
+    document.getElementById('amz-save-options').addEventListener('click', save);
+    document.getElementById('amz-reset-options').addEventListener('click', () => {
+      fillForm(ExtensionSettings.DEFAULTS);
+      updatePreview();
+    });
+
+    const backupFile = document.getElementById('amz-backup-file');
+    document.getElementById('amz-export-backup').addEventListener('click', exportBackup);
+    document.getElementById('amz-import-backup').addEventListener('click', () => backupFile.click());
+    backupFile.addEventListener('change', () => {
+      if (backupFile.files[0]) importBackup(backupFile.files[0]);
+      backupFile.value = ''; // Allow picking the same file again
+    });
+  }
+
+  // One input per schema entry; the filename template has its own section
+  function renderSettingsFields() {
+    const container = document.getElementById('amz-settings-fields');
+
+    for (let [key, field] of Object.entries(ExtensionSettings.SCHEMA)) {
+      if (key === 'filenameTemplate') continue;
+
+      const wrapper = document.createElement('div');
+      wrapper.className = 'amz-settings-field';
+      wrapper.innerHTML = `
+        <label class="amz-filter-label" for="amz-setting-${key}"></label>
+        ${field.type === 'choice'
+          ? `<select id="amz-setting-${key}" class="amz-filter-input" data-key="${key}"></select>`
+          : `<input id="amz-setting-${key}" class="amz-filter-input" data-key="${key}">`}
+        <div class="amz-options-hint"></div>
+        <div class="amz-options-error"></div>
+      `;
+
+      const input = wrapper.querySelector('[data-key]');
+      wrapper.querySelector('label').textContent = field.unit ? `${field.label} (${field.unit})` : field.label;
+      if (field.type === 'choice') {
+        for (let [value, label] of Object.entries(field.choices)) {
+          input.add(new Option(label, value));
+        }
+      } else if (field.type === 'boolean') {
+        input.type = 'checkbox';
+        input.className = 'amz-checkbox';
+      } else if (field.type === 'number') {
+        input.type = 'number';
+        input.min = field.min;
+        input.max = field.max;
+        input.step = 1;
+      } else {
+        input.type = 'text';
+      }
+      wrapper.querySelector('.amz-options-hint').textContent = field.hint ||
+        (field.type === 'number' ? `Default ${field.default}, allowed ${field.min}–${field.max}` : '');
+
+      input.addEventListener(field.type === 'boolean' || field.type === 'choice' ? 'change' : 'input', updateValidation);
+      container.appendChild(wrapper);
+    }
+  }
+
+  function fillForm(settings) {
+    document.querySelectorAll('#amz-settings-fields [data-key]').forEach(input => {
+      if (input.type === 'checkbox') {
+        input.checked = settings[input.dataset.key];
+      } else {
+        input.value = settings[input.dataset.key];
+      }
+    });
+    templateInput.value = settings.filenameTemplate;
+    updateValidation();
+  }
+
+  function readForm() {
+    const settings = { filenameTemplate: templateInput.value.trim() };
+    document.querySelectorAll('#amz-settings-fields [data-key]').forEach(input => {
+      const field = ExtensionSettings.SCHEMA[input.dataset.key];
+      if (field.type === 'boolean') {
+        settings[input.dataset.key] = input.checked;
+      } else if (field.type === 'number') {
+        settings[input.dataset.key] = input.value === '' ? NaN : Number(input.value);
+      } else {
+        settings[input.dataset.key] = input.value.trim();
+      }
+    });
+    return settings;
+  }
+
+  // Show per-field errors; returns true when every value is valid
+  function updateValidation() {
+    const settings = readForm();
+    let valid = true;
+
+    document.querySelectorAll('#amz-settings-fields [data-key]').forEach(input => {
+      const error = ExtensionSettings.validate(input.dataset.key, settings[input.dataset.key]);
+      input.classList.toggle('amz-input-invalid', error !== '');
+      input.parentElement.querySelector('.amz-options-error').textContent = error;
+      valid = valid && error === '';
+    });
+
+    valid = valid && FilenameTemplate.validate(settings.filenameTemplate).length === 0;
+    document.getElementById('amz-save-options').disabled = !valid;
+    return valid;
+  }
+
+  function renderTokenList() {
+    const tbody = document.getElementById('amz-token-list');
+    tbody.innerHTML = '';
+
+    for (let [name, token] of Object.entries(FilenameTemplate.TOKENS)) {
+      const row = document.createElement('tr');
+      [`{${name}}`, token.description, token.resolve(sampleRow) || '—'].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      // Clicking a token inserts it at the cursor
+      row.addEventListener('click', () => insertToken(`{${name}}`));
+      tbody.appendChild(row);
+    }
+  }
+
+  function insertToken(token) {
+    const { selectionStart, selectionEnd, value } = templateInput;
+    templateInput.value = value.slice(0, selectionStart) + token + value.slice(selectionEnd);
+    templateInput.focus();
+    templateInput.setSelectionRange(selectionStart + token.length, selectionStart + token.length);
+    updatePreview();
+  }
+
+  function updatePreview() {
+    const errors = FilenameTemplate.validate(templateInput.value);
+    document.getElementById('amz-template-errors').textContent = errors.join('. ');
+    templateInput.classList.toggle('amz-input-invalid', errors.length > 0);
+    document.getElementById('amz-template-preview').textContent = errors.length > 0
+      ? '—'
+      : FilenameTemplate.render(templateInput.value, sampleRow);
+    updateValidation();
+  }
+
+  async function save() {
+    if (!updateValidation()) return;
+
+    await chrome.storage.sync.set(ExtensionSettings.normalize(readForm()));
+    showStatus('Saved ✓');
+  }
+
+  async function exportBackup() {
+    const backup = await ExtensionBackup.create();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const date = backup.exportedAt.slice(0, 10);
+
+    try {
+      await chrome.downloads.download({ url, filename: `amazon-invoice-downloader-backup-${date}.json`, saveAs: true });
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+  }
+
+  async function importBackup(file) {
+    const errorBox = document.getElementById('amz-backup-errors');
+    errorBox.textContent = '';
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      errorBox.textContent = `${file.name} is not valid JSON: ${error.message}`;
+      return;
+    }
+
+    const errors = ExtensionBackup.validate(data);
+    if (errors.length > 0) {
+      errorBox.textContent = errors.slice(0, 5).join('. ') + (errors.length > 5 ? ` (and ${errors.length - 5} more)` : '');
+      return;
+    }
+
+    const restoreSettings = data.settings !== undefined &&
+      confirm('Also replace the current settings with the ones from the backup?');
+
+    const counts = await ExtensionBackup.importHistory(data);
+    if (restoreSettings) {
+      await ExtensionBackup.restoreSettings(data.settings);
+      fillForm(await ExtensionSettings.load());
+      updatePreview();
+    }
+    for (let account of counts.accounts) {
+      await DownloadHistory.notifyInvoicePages(account);
+    }
+
+    alert(`Backup imported: ${counts.added} new, ${counts.updated} updated and ${counts.unchanged} unchanged invoices` +
+      (restoreSettings ? '; settings restored.' : '.'));
+  }
+
+  function showStatus(message) {
+    const status = document.getElementById('amz-options-status');
+    status.textContent = message;
+    setTimeout(() => { status.textContent = ''; }, 2000);
+  }
+
+  init();
+
+})();
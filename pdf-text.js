@@ -0,0 +1,361 @@
+// Amazon Seller Fee Invoice Downloader - PDF Text
+// Reads the text layer of machine-generated PDFs: objects (incl. object streams), Flate streams,
+// text operators and ToUnicode CMaps. Not a general PDF renderer - layout is approximated by lines.
+
+const PdfText = (() => {
+  'use strict';
+
+  // Bytes -> string with one char per byte, so string offsets are byte offsets
+  function toBinaryString(bytes) {
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return result;
+  }
+
+  function toBytes(binary) {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+  }
+
+  async function inflate(binary) {
+    const stream = new Blob([toBytes(binary)]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return toBinaryString(new Uint8Array(await new Response(stream).arrayBuffer()));
+  }
+
+  // Object number -> { dict, stream } where stream is the raw (still encoded) data or null
+  function readObjects(pdf) {
+    const objects = new Map();
+    const objectPattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+
+    while ((match = objectPattern.exec(pdf))) {
+      const start = match.index + match[0].length;
+      const endObject = pdf.indexOf('endobj', start);
+      if (endObject === -1) break;
+
+      const streamMatch = /\bstream\r?\n/.exec(pdf.slice(start, endObject));
+      if (!streamMatch) {
+        objects.set(Number(match[1]), { dict: pdf.slice(start, endObject), stream: null });
+        objectPattern.lastIndex = endObject;
+        continue;
+      }
+
+      // Binary stream data may itself contain "endobj", so locate the stream end first
+      const dict = pdf.slice(start, start + streamMatch.index);
+      const dataStart = start + streamMatch.index + streamMatch[0].length;
+      const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+      let dataEnd = length ? dataStart + Number(length[1]) : -1;
+      if (dataEnd < 0 || !/^\s*endstream/.test(pdf.slice(dataEnd, dataEnd + 20))) {
+        dataEnd = pdf.indexOf('endstream', dataStart);
+        if (dataEnd === -1) break;
+        if (pdf[dataEnd - 1] === '\n') dataEnd--;
+        if (pdf[dataEnd - 1] === '\r') dataEnd--;
+      }
+
+      objects.set(Number(match[1]), { dict, stream: pdf.slice(dataStart, dataEnd) });
+      const streamObjectEnd = pdf.indexOf('endobj', dataEnd);
+      if (streamObjectEnd === -1) break;
+      objectPattern.lastIndex = streamObjectEnd;
+    }
+    return objects;
+  }
+
+  // Decoded stream data, or null for filters other than Flate (images, fonts we do not need)
+  async function decodeStream(object) {
+    const filter = /\/Filter\s*\[?\s*((?:\/\w+\s*)*)\]?/.exec(object.dict);
+    const filters = filter ? filter[1].trim().split(/\s*(?=\/)/).filter(Boolean) : [];
+    if (filters.length === 0) return object.stream;
+    if (filters.length === 1 && filters[0] === '/FlateDecode') {
+      try {
+        return await inflate(object.stream);
+      } catch (error) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  // Objects packed into /Type /ObjStm streams (PDF 1.5+)
+  async function unpackObjectStreams(objects) {
+    for (let object of [...objects.values()]) {
+      if (!object.stream || !/\/Type\s*\/ObjStm/.test(object.dict)) continue;
+
+      const data = await decodeStream(object);
+      const first = /\/First\s+(\d+)/.exec(object.dict);
+      if (!data || !first) continue;
+
+      const header = data.slice(0, Number(first[1])).trim().split(/\s+/).map(Number);
+      for (let i = 0; i < header.length; i += 2) {
+        const from = Number(first[1]) + header[i + 1];
+        const to = i + 3 < header.length ? Number(first[1]) + header[i + 3] : data.length;
+        if (!objects.has(header[i])) {
+          objects.set(header[i], { dict: data.slice(from, to), stream: null });
+        }
+      }
+    }
+  }
+
+  function decodeUtf16Hex(hex) {
+    let text = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+      text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    }
+    return text;
+  }
+
+  // ToUnicode CMap -> { map: code -> text, codeLength: bytes per character code }
+  function parseCMap(text) {
+    const map = new Map();
+    let codeLength = 0;
+
+    const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+    if (codespace) codeLength = codespace[1].length / 2;
+
+    for (let block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (let entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+        map.set(parseInt(entry[1], 16), decodeUtf16Hex(entry[2]));
+        codeLength = codeLength || entry[1].length / 2;
+      }
+    }
+
+    for (let block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      const entries = block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g);
+      for (let entry of entries) {
+        const low = parseInt(entry[1], 16);
+        const high = parseInt(entry[2], 16);
+        codeLength = codeLength || entry[1].length / 2;
+
+        if (entry[3].startsWith('[')) {
+          const targets = [...entry[3].matchAll(/<([0-9a-fA-F]*)>/g)];
+          targets.forEach((target, offset) => map.set(low + offset, decodeUtf16Hex(target[1])));
+        } else {
+          const base = entry[3].slice(1, -1);
+          const prefix = decodeUtf16Hex(base.slice(0, -4));
+          const last = parseInt(base.slice(-4), 16);
+          for (let code = low; code <= high && code - low < 0x10000; code++) {
+            map.set(code, prefix + String.fromCharCode(last + code - low));
+          }
+        }
+      }
+    }
+
+    return { map, codeLength: codeLength || 1 };
+  }
+
+  // Font resource name (e.g. "F1") -> CMap. Names are collected from every page's resources;
+  // Amazon's invoices use one font set throughout, so name clashes between pages do not occur.
+  async function readFonts(objects) {
+    const resolve = (number) => objects.get(Number(number));
+    const fontDicts = [];
+
+    for (let object of objects.values()) {
+      for (let inline of object.dict.matchAll(/\/Font\s*<<([\s\S]*?)>>/g)) {
+        fontDicts.push(inline[1]);
+      }
+      for (let reference of object.dict.matchAll(/\/Font\s+(\d+)\s+\d+\s+R/g)) {
+        const target = resolve(reference[1]);
+        if (target) fontDicts.push(target.dict);
+      }
+    }
+
+    const fonts = new Map();
+    for (let dict of fontDicts) {
+      for (let entry of dict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+        if (fonts.has(entry[1])) continue;
+        const font = resolve(entry[2]);
+        const toUnicode = font && /\/ToUnicode\s+(\d+)\s+\d+\s+R/.exec(font.dict);
+        const cmapObject = toUnicode && resolve(toUnicode[1]);
+        const cmap = cmapObject && cmapObject.stream !== null ? await decodeStream(cmapObject) : null;
+        fonts.set(entry[1], cmap ? parseCMap(cmap) : null);
+      }
+    }
+    return fonts;
+  }
+
+  const LITERAL_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+  // Read a (literal string) starting at the opening parenthesis; returns [value, next index]
+  function readLiteralString(content, index) {
+    let value = '';
+    let depth = 1;
+    let i = index + 1;
+
+    while (i < content.length && depth > 0) {
+      const char = content[i];
+      if (char === '\\') {
+        const next = content[i + 1];
+        if (LITERAL_ESCAPES[next]) {
+          value += LITERAL_ESCAPES[next];
+          i += 2;
+        } else if (/[0-7]/.test(next)) {
+          const octal = /^[0-7]{1,3}/.exec(content.slice(i + 1, i + 4))[0];
+          value += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+          i += 1 + octal.length;
+        } else if (next === '\r' || next === '\n') {
+          i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+        } else {
+          value += next;
+          i += 2;
+        }
+        continue;
+      }
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (depth > 0) value += char;
+      i++;
+    }
+    return [value, i];
+  }
+
+  function decodeText(bytes, font) {
+    if (!font) return bytes;
+
+    let text = '';
+    for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+      let code = 0;
+      for (let j = 0; j < font.codeLength; j++) {
+        code = code * 256 + bytes.charCodeAt(i + j);
+      }
+      text += font.map.get(code) ?? '';
+    }
+    return text;
+  }
+
+  // Run the text operators of one content stream
+  function extractStreamText(content, fonts) {
+    const operands = [];
+    let font = null;
+    let text = '';
+    let lineY = null;
+    let i = 0;
+
+    const newLine = () => { text += '\n'; };
+    const show = (value) => { text += decodeText(value, font); };
+
+    while (i < content.length) {
+      const char = content[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '%') {
+        while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+      } else if (char === '(') {
+        const [value, next] = readLiteralString(content, i);
+        operands.push({ string: value });
+        i = next;
+      } else if (content.startsWith('<<', i) || content.startsWith('>>', i)) {
+        i += 2;
+      } else if (char === '<') {
+        const end = content.indexOf('>', i);
+        if (end === -1) break; // Truncated stream
+        const hex = content.slice(i + 1, end).replace(/\s+/g, '');
+        const padded = hex.length % 2 ? hex + '0' : hex;
+        let value = '';
+        for (let j = 0; j < padded.length; j += 2) {
+          value += String.fromCharCode(parseInt(padded.slice(j, j + 2), 16));
+        }
+        operands.push({ string: value });
+        i = end + 1;
+      } else if (char === '[') {
+        operands.push({ arrayStart: true });
+        i++;
+      } else if (char === ']') {
+        const start = operands.map(operand => operand.arrayStart).lastIndexOf(true);
+        const items = start === -1 ? [] : operands.splice(start).slice(1);
+        operands.push({ array: items });
+        i++;
+      } else if (char === '/') {
+        const name = /^\/[^\s/<>[\]()%{}]*/.exec(content.slice(i, i + 128))[0];
+        operands.push({ name: name.slice(1) });
+        i += name.length;
+      } else if (/[-+.\d]/.test(char)) {
+        const number = /^[-+]?\d*\.?\d*/.exec(content.slice(i, i + 32))[0] || char;
+        operands.push(Number(number) || 0);
+        i += number.length;
+      } else {
+        const operator = /^[^\s/<>[\]()%{}]+/.exec(content.slice(i, i + 32));
+        if (!operator) {
+          i++;
+          continue;
+        }
+        i += operator[0].length;
+
+        switch (operator[0]) {
+          case 'Tf':
+            font = fonts.get(operands[0]?.name) || null;
+            break;
+          case 'Tj':
+            if (operands[0]?.string !== undefined) show(operands[0].string);
+            break;
+          case '\'':
+          case '"':
+            newLine();
+            if (operands[operands.length - 1]?.string !== undefined) show(operands[operands.length - 1].string);
+            break;
+          case 'TJ':
+            for (let item of operands[0]?.array || []) {
+              if (item.string !== undefined) show(item.string);
+              else if (typeof item === 'number' && item < -250) text += ' ';
+            }
+            break;
+          case 'Td':
+          case 'TD':
+            if (operands[1]) newLine();
+            else text += ' ';
+            break;
+          case 'T*':
+            newLine();
+            break;
+          case 'Tm':
+            if (lineY !== null && Math.abs(operands[5] - lineY) > 1) newLine();
+            else text += ' ';
+            lineY = operands[5];
+            break;
+          case 'ID': {
+            // Inline image data - skip to its end marker
+            const end = content.slice(i).search(/\sEI(\s|$)/);
+            i = end === -1 ? content.length : i + end + 3;
+            break;
+          }
+        }
+        operands.length = 0;
+      }
+    }
+    return text;
+  }
+
+  // Plain text of every page, one line per text line (best effort)
+  async function extract(blob) {
+    const pdf = toBinaryString(new Uint8Array(await blob.arrayBuffer()));
+    if (!pdf.startsWith('%PDF')) {
+      throw new Error('Not a PDF file');
+    }
+
+    const objects = readObjects(pdf);
+    await unpackObjectStreams(objects);
+    const fonts = await readFonts(objects);
+
+    const lines = [];
+    for (let object of objects.values()) {
+      if (object.stream === null) continue;
+      if (/\/(Subtype\s*\/Image|Type\s*\/(XRef|ObjStm|XObject\s*\/Subtype\s*\/Image)|Length1|Length2)/.test(object.dict)) continue;
+
+      const content = await decodeStream(object);
+      if (!content || !/\bBT\b/.test(content) || !/T[jJ]|['"]/.test(content)) continue;
+      lines.push(extractStreamText(content, fonts));
+    }
+
+    return lines.join('\n')
+      .split('\n')
+      .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  return { extract };
+})();
@@ -0,0 +1,136 @@
+// Amazon Seller Fee Invoice Downloader - History Popup
+// Lists the download history (history-store.js); also opened as a full page with ?view=full
+
+(function() {
+  'use strict';
+
+  const isFullView = new URLSearchParams(location.search).get('view') === 'full';
+
+  let account = ''; // Seller account whose history is shown (see history-store.js)
+  let entries = [];
+  let sort = { key: 'timestamp', ascending: false };
+
+  async function init() {
+    document.body.classList.toggle('amz-full-view', isFullView);
+    document.getElementById('amz-history-full-view').style.display = isFullView ? 'none' : '';
+
+    // Looking at the history acknowledges the auto-sync badge
+    chrome.runtime.sendMessage({ action: 'clear_badge' }).catch(() => {});
+
+    await renderAccounts();
+
+    document.getElementById('amz-history-search').addEventListener('input', render);
+    document.getElementById('amz-history-status').addEventListener('change', render);
+    document.getElementById('amz-history-full-view').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('popup.html?view=full') });
+      window.close();
+    });
+    document.getElementById('amz-history-options').addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+
+    document.querySelectorAll('.amz-history-table th[data-sort]').forEach(th => {
+      th.addEventListener('click', () => {
+        const key = th.dataset.sort;
+        sort = { key, ascending: sort.key === key ? !sort.ascending : key !== 'timestamp' };
+        render();
+      });
+    });
+
+    await reload();
+  }
+
+  // Most recently seen account first; the switcher only shows up with more than one
+  async function renderAccounts() {
+    const accounts = await DownloadHistory.accounts();
+    const select = document.getElementById('amz-history-account');
+    account = accounts[0] || '';
+
+    accounts.forEach(value => select.add(new Option(value || 'No account (older history)', value)));
+    select.style.display = accounts.length > 1 ? '' : 'none';
+    select.addEventListener('change', () => {
+      account = select.value;
+      reload();
+    });
+  }
+
+  async function reload() {
+    entries = await DownloadHistory.entries(account);
+    render();
+  }
+
+  // File name (and archive) for downloads, the last error for failures
+  function detail(entry) {
+    if (entry.status === 'failed') return entry.error || '';
+    return [entry.filename, entry.archive && `in ${entry.archive}`].filter(Boolean).join(' ');
+  }
+
+  function describeStatus(entry) {
+    if (entry.status === 'downloaded' && entry.reissued) return 'downloaded (reissued)';
+    if (entry.status === 'downloaded' && entry.unverified) return 'downloaded (matched by name and size)';
+    if (entry.status !== 'failed') return entry.status;
+    return entry.permanent ? 'failed (not retryable)' : 'failed';
+  }
+
+  function compare(a, b) {
+    const valueA = sort.key === 'detail' ? detail(a) : a[sort.key];
+    const valueB = sort.key === 'detail' ? detail(b) : b[sort.key];
+    const result = typeof valueA === 'number'
+      ? valueA - valueB
+      : String(valueA).localeCompare(String(valueB), undefined, { numeric: true });
+    return sort.ascending ? result : -result;
+  }
+
+  function render() {
+    const search = document.getElementById('amz-history-search').value.trim().toLowerCase();
+    const status = document.getElementById('amz-history-status').value;
+
+    const shown = entries
+      .filter(entry => !status || entry.status === status)
+      .filter(entry => !search ||
+        [entry.invoiceId, entry.filename, entry.archive, entry.error].some(value => value && value.toLowerCase().includes(search)))
+      .sort(compare);
+
+    const tbody = document.getElementById('amz-history-list');
+    tbody.innerHTML = '';
+    for (let entry of shown) {
+      const row = tbody.insertRow();
+      row.className = `amz-history-${entry.status}`;
+      [
+        entry.invoiceId,
+        describeStatus(entry),
+        entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '—',
+        entry.attempts || '—',
+        detail(entry)
+      ].forEach(value => { row.insertCell().textContent = value; });
+
+      const reset = document.createElement('button');
+      reset.className = 'amz-btn amz-btn-secondary amz-btn-small';
+      reset.textContent = 'Reset';
+      reset.title = 'Forget this entry so the invoice can be downloaded again';
+      reset.addEventListener('click', () => resetEntry(entry.invoiceId));
+      row.insertCell().appendChild(reset);
+    }
+
+    document.querySelectorAll('.amz-history-table th[data-sort]').forEach(th => {
+      th.classList.toggle('amz-sorted-asc', th.dataset.sort === sort.key && sort.ascending);
+      th.classList.toggle('amz-sorted-desc', th.dataset.sort === sort.key && !sort.ascending);
+    });
+
+    document.getElementById('amz-history-downloaded').textContent = entries.filter(e => e.status === 'downloaded').length;
+    document.getElementById('amz-history-failed').textContent = entries.filter(e => e.status === 'failed').length;
+    document.getElementById('amz-history-shown').textContent = shown.length;
+    document.getElementById('amz-history-empty').style.display = entries.length === 0 ? 'block' : 'none';
+  }
+
+  async function resetEntry(invoiceId) {
+    if (!confirm(`Reset ${invoiceId}? It will count as pending and can be downloaded again.`)) return;
+
+    await DownloadHistory.remove(account, [invoiceId]);
+    await DownloadHistory.notifyInvoicePages(account);
+    await reload();
+  }
+
+  init();
+
+})();
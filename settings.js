@@ -0,0 +1,205 @@
+// Amazon Seller Fee Invoice Downloader - Settings
+// Schema, defaults and validation for the options stored in chrome.storage.sync
+// Requires filename-template.js to be loaded first
+
+const ExtensionSettings = (() => {
+  'use strict';
+
+  // Each entry maps a stored setting to the CONFIG key it overrides in the content script
+  const SCHEMA = {
+    delayBetweenDownloads: {
+      config: 'DELAY_BETWEEN_DOWNLOADS',
+      label: 'Delay between downloads',
+      type: 'number', unit: 'ms', default: 2500, min: 500, max: 60000,
+      hint: 'Pause each worker takes between downloads; raised automatically while Amazon throttles'
+    },
+    concurrency: {
+      config: 'CONCURRENCY',
+      label: 'Parallel downloads',
+      type: 'number', default: 2, min: 1, max: 4,
+      hint: 'Drops automatically when Amazon answers 429/503 and recovers once responses are healthy'
+    },
+    downloadTimeout: {
+      config: 'DOWNLOAD_TIMEOUT',
+      label: 'Download timeout',
+      type: 'number', unit: 'ms', default: 30000, min: 5000, max: 300000
+    },
+    retryAttempts: {
+      config: 'RETRY_ATTEMPTS',
+      label: 'Retry attempts',
+      type: 'number', default: 3, min: 1, max: 10
+    },
+    retryBaseDelay: {
+      config: 'RETRY_BASE_DELAY',
+      label: 'First retry delay',
+      type: 'number', unit: 'ms', default: 2000, min: 250, max: 60000,
+      hint: 'Doubles with every further attempt (with random jitter)'
+    },
+    retryMaxDelay: {
+      config: 'RETRY_MAX_DELAY',
+      label: 'Longest retry delay',
+      type: 'number', unit: 'ms', default: 60000, min: 1000, max: 600000
+    },
+    filterDebounceMs: {
+      config: 'FILTER_DEBOUNCE_MS',
+      label: 'Filter debounce',
+      type: 'number', unit: 'ms', default: 300, min: 0, max: 2000
+    },
+    chunkSize: {
+      config: 'CHUNK_SIZE',
+      label: 'Rows parsed per chunk',
+      type: 'number', default: 100, min: 10, max: 2000
+    },
+    maxVisibleRows: {
+      config: 'MAX_VISIBLE_ROWS',
+      label: 'Virtualise tables larger than',
+      type: 'number', unit: 'rows', default: 500, min: 50, max: 10000
+    },
+    virtualScrollBuffer: {
+      config: 'VIRTUAL_SCROLL_BUFFER',
+      label: 'Virtual scroll buffer',
+      type: 'number', unit: 'rows', default: 50, min: 10, max: 1000
+    },
+    taxYearStart: {
+      config: 'TAX_YEAR_START_MONTH',
+      label: 'Tax year starts in',
+      type: 'choice', default: '1',
+      choices: {
+        1: 'January', 2: 'February', 3: 'March', 4: 'April', 5: 'May', 6: 'June',
+        7: 'July', 8: 'August', 9: 'September', 10: 'October', 11: 'November', 12: 'December'
+      },
+      hint: 'Used by the "Previous tax year" quick range'
+    },
+    taxYearStartDay: {
+      config: 'TAX_YEAR_START_DAY',
+      label: 'Tax year starts on day',
+      type: 'number', default: 1, min: 1, max: 28,
+      hint: 'Day of that month the tax year begins, e.g. 6 with April for the UK (6 April - 5 April)'
+    },
+    extractAmounts: {
+      config: 'EXTRACT_AMOUNTS',
+      label: 'Read amounts from PDFs',
+      type: 'boolean', default: false,
+      hint: 'Extract net, VAT and gross totals from each downloaded invoice for exports and the totals summary'
+    },
+    autoSync: {
+      label: 'Auto-sync new invoices',
+      type: 'boolean', default: false,
+      hint: 'Download every invoice that has not been downloaded yet whenever the invoice page opens'
+    },
+    autoSyncMarketplaces: {
+      label: 'Auto-sync marketplaces',
+      type: 'text', default: '',
+      hint: 'Comma-separated, e.g. "de, pl"; leave empty to sync every marketplace'
+    },
+    autoSyncInvoiceTypes: {
+      label: 'Auto-sync invoice types',
+      type: 'text', default: '',
+      hint: 'Comma-separated parts of the invoice type, e.g. "Fulfillment, Advertising"; leave empty for all'
+    },
+    backgroundCheck: {
+      label: 'Check for new invoices in the background',
+      type: 'boolean', default: false,
+      hint: 'Periodically loads the invoice page you last visited, using your Seller Central session'
+    },
+    backgroundCheckHours: {
+      label: 'Background check interval',
+      type: 'number', unit: 'hours', default: 12, min: 1, max: 168
+    },
+    backgroundCheckAction: {
+      label: 'When new invoices are found',
+      type: 'choice', default: 'notify',
+      choices: { notify: 'Show a notification', queue: 'Notify and queue them for download' },
+      hint: 'Queued invoices are offered for download the next time you open the invoice page'
+    },
+    downloadFolder: {
+      label: 'Download folder',
+      type: 'text', default: 'amazon_invoices',
+      hint: 'Sub-folder of your Downloads folder; leave empty to save directly into Downloads'
+    },
+    filenameTemplate: {
+      label: 'Filename template',
+      type: 'text', default: FilenameTemplate.DEFAULT_TEMPLATE
+    }
+  };
+
+  const DEFAULTS = Object.fromEntries(
+    Object.entries(SCHEMA).map(([key, field]) => [key, field.default])
+  );
+
+  function validateFolder(folder) {
+    if (/^[\\/]|^[a-zA-Z]:/.test(folder)) return 'Folder must be relative to Downloads';
+    if (/[:*?"<>|\\]/.test(folder)) return 'Folder contains characters that are not allowed';
+    if (folder.split('/').some(segment => segment.trim() === '..')) return 'Folder must not contain ".."';
+    return '';
+  }
+
+  // "Amazon.de, pl" -> ['de', 'pl']
+  function parseList(value) {
+    return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  }
+
+  function marketplaceCode(value) {
+    return value.toLowerCase().replace(/^(https?:\/\/)?(www\.)?amazon\./, '');
+  }
+
+  function validateMarketplaces(value) {
+    const invalid = parseList(value).map(marketplaceCode).filter(code => !/^[a-z]{2,3}(\.[a-z]{2,3})?$/.test(code));
+    return invalid.length > 0 ? `Unknown marketplace ${invalid[0]} - use codes like de, pl or co.uk` : '';
+  }
+
+  // Returns an error message, or '' when the value is acceptable
+  function validate(key, value) {
+    const field = SCHEMA[key];
+    if (!field) return `Unknown setting ${key}`;
+
+    if (field.type === 'number') {
+      if (typeof value !== 'number' || !Number.isInteger(value)) return `${field.label} must be a whole number`;
+      if (value < field.min || value > field.max) {
+        return `${field.label} must be between ${field.min} and ${field.max}${field.unit ? ' ' + field.unit : ''}`;
+      }
+      return '';
+    }
+
+    if (field.type === 'boolean') {
+      return typeof value === 'boolean' ? '' : `${field.label} must be on or off`;
+    }
+
+    if (field.type === 'choice') {
+      return Object.hasOwn(field.choices, value) ? '' : `${field.label} must be one of ${Object.keys(field.choices).join(', ')}`;
+    }
+
+    if (typeof value !== 'string') return `${field.label} must be text`;
+    if (key === 'downloadFolder') return validateFolder(value.trim());
+    if (key === 'autoSyncMarketplaces') return validateMarketplaces(value);
+    if (key === 'filenameTemplate') return FilenameTemplate.validate(value).join('. ');
+    return '';
+  }
+
+  // Invalid or missing stored values fall back to their defaults
+  function normalize(settings) {
+    const result = { ...DEFAULTS };
+    for (let key of Object.keys(SCHEMA)) {
+      if (settings[key] !== undefined && validate(key, settings[key]) === '') {
+        result[key] = settings[key];
+      }
+    }
+    result.downloadFolder = result.downloadFolder.trim().replace(/\/+$/, '');
+    return result;
+  }
+
+  async function load() {
+    return normalize(await chrome.storage.sync.get(DEFAULTS));
+  }
+
+  // Copy numeric and on/off settings onto a CONFIG object
+  function applyToConfig(config, settings) {
+    for (let [key, field] of Object.entries(SCHEMA)) {
+      if (field.config) {
+        config[field.config] = settings[key];
+      }
+    }
+  }
+
+  return { SCHEMA, DEFAULTS, validate, normalize, load, applyToConfig, parseList, marketplaceCode };
+})();
@@ -0,0 +1,126 @@
+// Amazon Seller Fee Invoice Downloader - ZIP Writer
+// Minimal in-memory ZIP archive builder (store only - PDFs are already compressed)
+
+const ZipWriter = (() => {
+  'use strict';
+
+  // CRC-32 lookup table (IEEE polynomial)
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // MS-DOS date/time format used by ZIP headers (2-second resolution, 1980 epoch)
+  function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  class ZipWriter {
+    constructor() {
+      this.entries = [];
+      this.parts = [];
+      this.offset = 0;
+      this.usedNames = new Set();
+      this.encoder = new TextEncoder();
+    }
+
+    // Add a file; data may be a Blob, ArrayBuffer, Uint8Array or string
+    async addFile(name, data, modified = new Date()) {
+      const bytes = await this.toBytes(data);
+      const nameBytes = this.encoder.encode(this.uniqueName(name));
+      const crc = crc32(bytes);
+      const { time, date } = toDosDateTime(modified);
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034B50, true); // Local file header signature
+      header.setUint16(4, 20, true);         // Version needed to extract
+      header.setUint16(6, 0x0800, true);     // Flags: UTF-8 file names
+      header.setUint16(8, 0, true);          // Compression: stored
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, bytes.length, true);
+      header.setUint32(22, bytes.length, true);
+      header.setUint16(26, nameBytes.length, true);
+      header.setUint16(28, 0, true);
+
+      this.entries.push({ nameBytes, crc, size: bytes.length, time, date, offset: this.offset });
+      this.parts.push(header, nameBytes, bytes);
+      this.offset += 30 + nameBytes.length + bytes.length;
+    }
+
+    // Build the central directory and return the finished archive
+    toBlob() {
+      const centralParts = [];
+      let centralSize = 0;
+
+      for (let entry of this.entries) {
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014B50, true); // Central directory signature
+        header.setUint16(4, 20, true);         // Version made by
+        header.setUint16(6, 20, true);         // Version needed to extract
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, entry.time, true);
+        header.setUint16(14, entry.date, true);
+        header.setUint32(16, entry.crc, true);
+        header.setUint32(20, entry.size, true);
+        header.setUint32(24, entry.size, true);
+        header.setUint16(28, entry.nameBytes.length, true);
+        header.setUint32(42, entry.offset, true);
+
+        centralParts.push(header, entry.nameBytes);
+        centralSize += 46 + entry.nameBytes.length;
+      }
+
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054B50, true); // End of central directory signature
+      end.setUint16(8, this.entries.length, true);
+      end.setUint16(10, this.entries.length, true);
+      end.setUint32(12, centralSize, true);
+      end.setUint32(16, this.offset, true);
+
+      return new Blob([...this.parts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    async toBytes(data) {
+      if (typeof data === 'string') return this.encoder.encode(data);
+      if (data instanceof Uint8Array) return data;
+      if (data instanceof ArrayBuffer) return new Uint8Array(data);
+      return new Uint8Array(await data.arrayBuffer());
+    }
+
+    // Avoid duplicate entry names - "file.pdf" becomes "file (1).pdf"
+    uniqueName(name) {
+      let candidate = name;
+      let counter = 1;
+      while (this.usedNames.has(candidate)) {
+        candidate = name.replace(/(\.[^./]+)?$/, (ext) => ` (${counter})${ext || ''}`);
+        counter++;
+      }
+      this.usedNames.add(candidate);
+      return candidate;
+    }
+  }
+
+  return ZipWriter;
+})();